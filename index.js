@@ -1,12 +1,64 @@
 const trivyScanner = require('./scanners/trivy');
-// const cdxgenScanner = require('./scanners/sbom');
-// const secretDetectorScanner = require('./scanners/secret-detector');
+const cdxgenScanner = require('./scanners/sbom');
+const secretDetectorScanner = require('./scanners/secret-detector');
+const licenseScanner = require('./scanners/license');
+const gitlabReportWriter = require('./reporters/gitlab');
+const sarifReportWriter = require('./reporters/sarif');
+const spdxReportWriter = require('./reporters/spdx');
+const policyEvaluator = require('./lib/policy');
+const { countFindings, isFixable, fingerprint } = require('./lib/findings');
+const { loadBaselineFile, parseBaseline, compareWithBaseline } = require('./lib/baseline');
+const GitLabClient = require('./lib/gitlab-api');
+const NeoTrakClient = require('./lib/neotrak-client');
+const ScannerRegistry = require('./lib/scanner-registry');
+const { parseAddedLines } = require('./lib/diff');
+const { redactText, parseRedactionMode } = require('./lib/redact');
+const { parseConfidenceLevel } = require('./lib/secret-confidence');
+const { loadSuppressions, describeSuppression, applySuppressions } = require('./lib/suppressions');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
+
+// Hidden marker identifying the note this scanner posts on merge requests
+const MR_NOTE_MARKER = '<!-- ntu-security-scanner-report -->';
+
+// Built-in scanners selectable through the `scanners` input
+const BUILT_IN_SCANNERS = [trivyScanner, cdxgenScanner, secretDetectorScanner, licenseScanner];
+
+const SCANNER_STATUS_ICONS = {
+  succeeded: '✅',
+  failed: '❌',
+  skipped: '⏭️'
+};
+
+// SBOM formats selectable through the `sbom-format` input
+const SBOM_FORMATS = ['cyclonedx', 'spdx-json', 'spdx-tag-value'];
+
+// Modes selectable through the `secret-scan-mode` input, `mr` is an alias of `range`
+const SECRET_SCAN_MODES = ['auto', 'directory', 'history', 'range', 'staged', 'uncommitted'];
+
+// Result types selectable through the `neotrak-upload` input
+const NEOTRAK_UPLOADS = ['vulnerabilities', 'sbom', 'secrets'];
+
+// License violations listed in the MR comment before truncating
+const MAX_LICENSE_ROWS = 20;
+
+// Low-confidence secrets listed in the MR comment before truncating
+const MAX_LOW_CONFIDENCE_ROWS = 20;
+
+function formatDuration(ms) {
+  return `${((ms || 0) / 1000).toFixed(1)}s`;
+}
+
+function shortDigest(digest) {
+  return digest ? digest.replace(/^sha256:/, '').substring(0, 12) : 'unknown';
+}
 
 class NTUSecurityOrchestrator {
   constructor() {
     this.scanners = [];
+    this.registry = new ScannerRegistry();
+    BUILT_IN_SCANNERS.forEach(scanner => this.registry.register(scanner));
     this.results = {
       total: 0,
       critical: 0,
@@ -15,6 +67,13 @@ class NTUSecurityOrchestrator {
       low: 0,
       scannerResults: []
     };
+    this.scanConfig = null;
+    this.startTime = null;
+    this.endTime = null;
+    this.failureReasons = [];
+    this.newFindings = null;
+    this.installErrors = new Map();
+    this.failurePolicy = null;
   }
 
   /**
@@ -29,7 +88,7 @@ class NTUSecurityOrchestrator {
       error: '❌ [ERROR]'
     }[level] || 'ℹ️  [INFO]';
     
-    console.log(`${timestamp} ${prefix} ${message}`);
+    console.log(`${timestamp} ${prefix} ${redactText(message)}`);
   }
 
   debug(message) {
@@ -82,6 +141,17 @@ class NTUSecurityOrchestrator {
     return process.env[envName] || process.env[simpleName] || defaultValue;
   }
 
+  /**
+   * Resolve the path of an output file inside the configured output directory
+   */
+  getOutputPath(fileName) {
+    const outputDir = this.getInput('output-dir', '.');
+    if (!fs.existsSync(outputDir)) {
+      fs.mkdirSync(outputDir, { recursive: true });
+    }
+    return path.join(outputDir, fileName);
+  }
+
   /**
    * Register a scanner module
    */
@@ -90,18 +160,159 @@ class NTUSecurityOrchestrator {
     this.info(`📦 Registered scanner: ${scanner.name}`);
   }
 
+  /**
+   * Load additional scanner modules listed in the `scanner-modules` input
+   *
+   * Returns the ids of the loaded scanners, which always run.
+   */
+  loadScannerModules() {
+    const specs = this.getInput('scanner-modules')
+      .split(',')
+      .map(spec => spec.trim())
+      .filter(Boolean);
+    const workspaceDir = process.env.CI_PROJECT_DIR || process.cwd();
+
+    const loadedIds = [];
+    specs.forEach(spec => {
+      try {
+        const loaded = this.registry.loadModule(spec, workspaceDir);
+        loaded.forEach(scanner => {
+          this.info(`🧩 Loaded scanner module ${spec}: ${scanner.name} (${scanner.id})`);
+          loadedIds.push(scanner.id);
+        });
+      } catch (error) {
+        throw new Error(`Failed to load scanner module ${spec}: ${error.message}`);
+      }
+    });
+    return loadedIds;
+  }
+
+  /**
+   * Register the scanners selected by the `scanners` input plus any loaded scanner modules
+   */
+  registerSelectedScanners() {
+    const moduleIds = this.loadScannerModules();
+    const selected = this.getInput('scanners', 'trivy')
+      .split(',')
+      .map(id => id.trim().toLowerCase())
+      .filter(Boolean);
+
+    [...selected, ...moduleIds].forEach(id => {
+      const scanner = this.registry.get(id);
+      if (!scanner) {
+        this.warning(`Unknown scanner "${id}" (available: ${this.registry.ids().join(', ')})`);
+        return;
+      }
+      if (!this.scanners.includes(scanner)) {
+        this.registerScanner(scanner);
+      }
+    });
+
+    if (this.scanners.length === 0) {
+      throw new Error('No valid scanners selected');
+    }
+  }
+
+  /**
+   * Build the installer configuration shared by all scanners
+   */
+  getInstallConfig() {
+    return {
+      cacheDir: this.getInput('scanner-cache-dir', path.join(os.homedir(), '.cache', 'ntu-scanner')),
+      offline: this.getInput('offline') === 'true',
+      verifyChecksums: this.getInput('verify-checksums', 'true') !== 'false',
+      verifySignatures: this.getInput('verify-signatures') === 'true',
+      archiveDir: this.getInput('scanner-archive-dir'),
+      mirrorUrl: this.getInput('scanner-mirror-url'),
+      npmRegistry: this.getInput('npm-registry'),
+      binaries: {
+        trivy: this.getInput('trivy-binary'),
+        gitleaks: this.getInput('gitleaks-binary'),
+        cdxgen: this.getInput('cdxgen-binary')
+      },
+      checksums: {
+        trivy: this.getInput('trivy-sha256'),
+        gitleaks: this.getInput('gitleaks-sha256'),
+        cdxgen: this.getInput('cdxgen-sha256')
+      },
+      packages: {
+        cdxgen: this.getInput('cdxgen-package')
+      },
+      sbomFiles: this.getSbomFiles()
+    };
+  }
+
+  /**
+   * Resolve the `secret-scan-mode` and `secret-scan-range` inputs
+   *
+   * `auto` scans the merge request's commits in MR pipelines, the whole history in scheduled
+   * pipelines and the files on disk otherwise. The range defaults to the MR's commits.
+   */
+  getSecretScanOptions() {
+    let mode = this.getInput('secret-scan-mode', 'auto').trim().toLowerCase();
+    if (mode === 'mr') {
+      mode = 'range';
+    }
+    if (!SECRET_SCAN_MODES.includes(mode)) {
+      throw new Error(`Unknown secret-scan-mode "${mode}" (expected ${SECRET_SCAN_MODES.join(', ')}, mr)`);
+    }
+
+    const mrBase = process.env.CI_MERGE_REQUEST_DIFF_BASE_SHA;
+    if (mode === 'auto') {
+      if (mrBase) {
+        mode = 'range';
+      } else if (process.env.CI_PIPELINE_SOURCE === 'schedule') {
+        mode = 'history';
+      } else {
+        mode = 'directory';
+      }
+    }
+
+    let range = this.getInput('secret-scan-range');
+    if (mode === 'range' && !range) {
+      if (mrBase) {
+        range = `${mrBase}..${process.env.CI_COMMIT_SHA || 'HEAD'}`;
+      } else {
+        this.warning('No secret-scan-range and not a merge request pipeline, scanning the directory instead');
+        mode = 'directory';
+      }
+    }
+
+    return { secretScanMode: mode, secretScanRange: mode === 'range' ? range : undefined };
+  }
+
+  /**
+   * Existing SBOM files listed in the `sbom-files` input, resolved against the workspace
+   *
+   * When set, these are scanned instead of generating an SBOM with cdxgen.
+   */
+  getSbomFiles() {
+    const workspaceDir = process.env.CI_PROJECT_DIR || process.cwd();
+    return this.getInput('sbom-files')
+      .split(',')
+      .map(file => file.trim())
+      .filter(Boolean)
+      .map(file => (path.isAbsolute(file) ? file : path.resolve(workspaceDir, file)));
+  }
+
   /**
    * Initialize all scanners
    */
   async initializeScanners() {
     this.startGroup('🔧 NTU Security Scanner Setup');
+
+    const installConfig = this.getInstallConfig();
+    if (installConfig.offline) {
+      this.info('✈️  Offline mode: scanners are installed from local binaries, archives or the cache only');
+    }
     
     for (const scanner of this.scanners) {
       try {
         this.info(`Installing ${scanner.name}...`);
-        await scanner.install();
+        await scanner.install(installConfig);
         this.info(`✅ ${scanner.name} installed successfully`);
       } catch (error) {
+        this.installErrors.set(scanner.id, error.message);
         this.warning(`Failed to install ${scanner.name}: ${error.message}`);
       }
     }
@@ -116,15 +327,13 @@ class NTUSecurityOrchestrator {
     this.startGroup('🔍 NTU Security Scan');
     
     const scanType = this.getInput('scan-type', 'fs');
-    const scanTarget = this.getInput('scan-target', '.');
+    const scanTarget = this.getInput('scan-target', this.getDefaultScanTarget(scanType));
     const severity = this.getInput('severity', 'HIGH,CRITICAL');
     const ignoreUnfixed = this.getInput('ignore-unfixed') === 'true';
     
     // Get the workspace directory and resolve the scan target relative to it
     const workspaceDir = this.getWorkspaceDirectory();
-    const resolvedTarget = path.isAbsolute(scanTarget) 
-      ? scanTarget 
-      : path.resolve(workspaceDir, scanTarget);
+    const resolvedTarget = this.resolveScanTarget(scanType, scanTarget, workspaceDir);
 
     this.info(`📍 Target: ${scanTarget}`);
     this.info(`🎯 Scan Type: ${scanType}`);
@@ -137,29 +346,192 @@ class NTUSecurityOrchestrator {
       ignoreUnfixed,
       format: this.getInput('format', 'table'),
       exitCode: this.getInput('exit-code', '1'),
-      workspaceDir
+      workspaceDir,
+      misconfig: this.getInput('misconfig-scan') === 'true',
+      misconfigScanners: this.getInput('misconfig-scanners', 'terraform,kubernetes,dockerfile,helm'),
+      ...this.getSecretScanOptions(),
+      secretRulesConfig: this.getInput('secret-rules-config'),
+      secretDisabledRules: this.getInput('secret-disabled-rules')
+        .split(',')
+        .map(id => id.trim())
+        .filter(Boolean),
+      secretMinConfidence: parseConfidenceLevel(this.getInput('secret-min-confidence', 'medium')),
+      secretFormatValidation: this.getInput('secret-format-validation', 'true') !== 'false',
+      secretRedaction: parseRedactionMode(this.getInput('secret-redaction', 'partial')),
+      sbomFiles: this.getSbomFiles(),
+      sbomOutput: this.getInput('sbom-output') || this.getOutputPath('gl-sbom-project.cdx.json'),
+      sbomValidate: this.getInput('sbom-validate', 'true') !== 'false',
+      sbomMetadata: this.getInput('sbom-enrich', 'true') !== 'false'
+        ? {
+          projectPath: process.env.CI_PROJECT_PATH,
+          commitSha: process.env.CI_COMMIT_SHA,
+          pipelineId: process.env.CI_PIPELINE_ID
+        }
+        : null,
+      licensePolicy: {
+        allow: this.getInput('license-allow'),
+        deny: this.getInput('license-deny', 'GPL-*,AGPL-*'),
+        review: this.getInput('license-review')
+      },
+      registryAuth: scanType === 'image' ? this.getRegistryCredentials(resolvedTarget) : null
     };
+    this.scanConfig = { ...scanConfig, rawTarget: scanTarget };
+    this.startTime = new Date();
 
-    for (const scanner of this.scanners) {
-      try {
-        this.info(`\n▶️  Running ${scanner.name}...`);
-        const result = await scanner.scan(scanConfig);
-        
-        if (result) {
-          this.aggregateResults(result);
-          this.results.scannerResults.push({
-            scanner: scanner.name,
-            ...result
-          });
-        }
-      } catch (error) {
-        this.warning(`${scanner.name} scan failed: ${error.message}`);
+    const maxParallel = Math.max(1, parseInt(this.getInput('max-parallel-scanners', '3'), 10) || 1);
+    const timeoutSeconds = Math.max(0, parseInt(this.getInput('scanner-timeout', '1800'), 10) || 0);
+    this.info(`⚙️  Running up to ${maxParallel} scanner(s) in parallel${timeoutSeconds ? `, ${timeoutSeconds}s timeout each` : ''}`);
+
+    // Results are collected by position so the report order follows the scanner order
+    const entries = new Array(this.scanners.length).fill(null);
+    let next = 0;
+    const worker = async () => {
+      while (next < this.scanners.length) {
+        const index = next++;
+        entries[index] = await this.runScanner(this.scanners[index], scanConfig, timeoutSeconds);
       }
-    }
-    
+    };
+    await Promise.all(Array.from({ length: Math.min(maxParallel, this.scanners.length) }, worker));
+
+    entries.forEach(entry => {
+      this.aggregateResults(entry);
+      this.results.scannerResults.push(entry);
+    });
+
+    this.endTime = new Date();
     this.endGroup();
   }
 
+  /**
+   * Default scan target: the image built by this pipeline for image scans, the workspace otherwise
+   */
+  getDefaultScanTarget(scanType) {
+    if (scanType === 'image' && process.env.CI_REGISTRY_IMAGE && process.env.CI_COMMIT_SHA) {
+      return `${process.env.CI_REGISTRY_IMAGE}:${process.env.CI_COMMIT_SHA}`;
+    }
+    return '.';
+  }
+
+  /**
+   * Resolve filesystem targets against the workspace; image references are passed through
+   * unless they name a local image tarball
+   */
+  resolveScanTarget(scanType, scanTarget, workspaceDir) {
+    const resolved = path.isAbsolute(scanTarget) ? scanTarget : path.resolve(workspaceDir, scanTarget);
+    if (scanType !== 'image') {
+      return resolved;
+    }
+    return fs.existsSync(resolved) && fs.statSync(resolved).isFile() ? resolved : scanTarget;
+  }
+
+  /**
+   * Registry credentials for an image scan
+   *
+   * Explicit `registry-username`/`registry-password` inputs are used for any registry; the job's
+   * `CI_REGISTRY_USER`/`CI_REGISTRY_PASSWORD` are only sent to the project's GitLab registry.
+   */
+  getRegistryCredentials(imageRef) {
+    const username = this.getInput('registry-username');
+    const password = this.getInput('registry-password');
+    if (username && password) {
+      return { username, password, source: 'registry-username/registry-password inputs' };
+    }
+
+    const registry = process.env.CI_REGISTRY;
+    if (registry && process.env.CI_REGISTRY_USER && process.env.CI_REGISTRY_PASSWORD &&
+        imageRef.startsWith(`${registry}/`)) {
+      return {
+        username: process.env.CI_REGISTRY_USER,
+        password: process.env.CI_REGISTRY_PASSWORD,
+        source: 'CI_REGISTRY_USER/CI_REGISTRY_PASSWORD'
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Run a single scanner, aborting it when it exceeds the timeout
+   *
+   * Always resolves with a scanner entry whose `status` is `succeeded`, `failed` or `skipped`;
+   * failed and skipped entries carry the error and no findings.
+   */
+  async runScanner(scanner, scanConfig, timeoutSeconds) {
+    const started = Date.now();
+    const installError = this.installErrors.get(scanner.id);
+    if (installError) {
+      this.warning(`${scanner.name} was not installed, marking it as failed`);
+      return this.createScannerEntry(scanner, 'failed', started, {
+        error: `Installation failed: ${installError}`
+      });
+    }
+
+    const controller = new AbortController();
+    let timer = null;
+    const timeout = new Promise((resolve, reject) => {
+      if (timeoutSeconds > 0) {
+        timer = setTimeout(() => {
+          controller.abort();
+          reject(Object.assign(new Error(`Timed out after ${timeoutSeconds}s`), { timedOut: true }));
+        }, timeoutSeconds * 1000);
+      }
+    });
+
+    try {
+      this.info(`▶️  Running ${scanner.name}...`);
+      const result = await Promise.race([
+        scanner.scan({ ...scanConfig, signal: controller.signal }),
+        timeout
+      ]);
+      if (!result) {
+        this.info(`⏭️  ${scanner.name} returned no result, marking it as skipped`);
+        return this.createScannerEntry(scanner, 'skipped', started, { error: 'Scanner returned no result' });
+      }
+
+      this.registry.validateResult(scanner, result);
+      (result.vulnerabilities || []).forEach(finding => {
+        finding.fingerprint = fingerprint(finding);
+      });
+      this.info(`✅ ${scanner.name} finished`);
+      return this.createScannerEntry(scanner, 'succeeded', started, result);
+    } catch (error) {
+      this.error(`${scanner.name} scan failed: ${error.message}`);
+      return this.createScannerEntry(scanner, 'failed', started, {
+        error: error.message,
+        timedOut: Boolean(error.timedOut)
+      });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Build a `scannerResults` entry; entries without a result get zero counts and no findings
+   */
+  createScannerEntry(scanner, status, started, fields = {}) {
+    return {
+      scanner: scanner.name,
+      id: scanner.id,
+      installation: scanner.installation || null,
+      total: 0,
+      critical: 0,
+      high: 0,
+      medium: 0,
+      low: 0,
+      vulnerabilities: [],
+      error: null,
+      ...fields,
+      status,
+      durationMs: Date.now() - started
+    };
+  }
+
+  /**
+   * Scanner entries whose install or scan failed
+   */
+  getFailedScanners() {
+    return this.results.scannerResults.filter(result => result.status === 'failed');
+  }
+
   /**
    * Aggregate results from multiple scanners
    */
@@ -171,6 +543,216 @@ class NTUSecurityOrchestrator {
     this.results.low += scanResult.low || 0;
   }
 
+  /**
+   * Recompute the consolidated counts from the per-scanner results
+   */
+  recomputeTotals() {
+    ['total', 'critical', 'high', 'medium', 'low'].forEach(key => {
+      this.results[key] = 0;
+    });
+    this.results.scannerResults.forEach(result => this.aggregateResults(result));
+  }
+
+  /**
+   * Apply the repository's suppression file to all scanner results
+   */
+  applySuppressionFile() {
+    const workspaceDir = this.scanConfig ? this.scanConfig.workspaceDir : process.cwd();
+    const ignoreFile = this.getInput('ignore-file', '.ntu-scanner-ignore.yml');
+    const ignorePath = path.isAbsolute(ignoreFile) ? ignoreFile : path.resolve(workspaceDir, ignoreFile);
+
+    if (!fs.existsSync(ignorePath)) {
+      this.debug(`No suppression file found at ${ignorePath}`);
+      return;
+    }
+
+    let suppressions;
+    try {
+      suppressions = loadSuppressions(ignorePath);
+    } catch (error) {
+      this.warning(`Failed to read suppression file ${ignorePath}, no findings suppressed: ${error.message}`);
+      return;
+    }
+
+    suppressions.errors.forEach(message => this.warning(`Ignoring ${message} (${ignoreFile})`));
+
+    const { counts, expired } = applySuppressions(this.results.scannerResults, suppressions.entries);
+    expired.forEach(entry => this.warning(
+      `Suppression for ${describeSuppression(entry)} expired on ` +
+      `${entry.expires.toISOString().substring(0, 10)}; matching findings are reported again`
+    ));
+
+    this.recomputeTotals();
+    this.results.suppressed = counts;
+    this.info(`🔕 ${counts.total} finding(s) suppressed by ${ignoreFile} ` +
+      `(${suppressions.entries.length - expired.length} active, ${expired.length} expired)`);
+  }
+
+  /**
+   * Create a NeoTrak platform client from the `neotrak-*` inputs and API key variables
+   */
+  createNeoTrakClient() {
+    const timeoutSeconds = parseInt(this.getInput('neotrak-timeout', '60'), 10);
+    const retries = parseInt(this.getInput('neotrak-retries', '3'), 10);
+    return new NeoTrakClient({
+      baseUrl: this.getInput('neotrak-url', NeoTrakClient.DEFAULT_BASE_URL),
+      apiKey: this.getInput('x-api-key'),
+      secretKey: this.getInput('x-secret-key'),
+      tenantKey: this.getInput('x-tenant-key'),
+      timeoutMs: (Number.isNaN(timeoutSeconds) ? 60 : timeoutSeconds) * 1000,
+      retries: Number.isNaN(retries) ? 3 : retries
+    });
+  }
+
+  /**
+   * Upload the results of every scanner to the NeoTrak platform project given by `project-id`
+   *
+   * Secrets, SBOMs and the remaining findings go to their own endpoints. Upload failures are
+   * reported but do not fail the job.
+   */
+  async uploadToNeoTrak() {
+    const projectId = this.getInput('project-id');
+    if (!projectId) {
+      this.info('ℹ️  project-id not set, skipping NeoTrak upload');
+      return;
+    }
+
+    const uploads = this.getInput('neotrak-upload', NEOTRAK_UPLOADS.join(','))
+      .split(',')
+      .map(upload => upload.trim().toLowerCase())
+      .filter(Boolean);
+    uploads
+      .filter(upload => !NEOTRAK_UPLOADS.includes(upload))
+      .forEach(upload => this.warning(`Unknown neotrak-upload "${upload}" (expected ${NEOTRAK_UPLOADS.join(', ')})`));
+
+    const client = this.createNeoTrakClient();
+    const results = this.results.scannerResults.filter(result => result.status === 'succeeded');
+    const upload = async (type, description, send) => {
+      try {
+        const response = await send();
+        this.info(`☁️  Uploaded ${description} to NeoTrak project ${projectId}`);
+        if (response.parseError) {
+          this.warning(`NeoTrak accepted the ${type} upload but its response could not be read: ${response.parseError}`);
+        }
+      } catch (error) {
+        this.error(`❌ Failed to upload ${type} to NeoTrak: ${error.message}`);
+      }
+    };
+
+    this.startGroup('☁️  NeoTrak Upload');
+
+    if (uploads.includes('vulnerabilities')) {
+      const findings = results.flatMap(result => (result.vulnerabilities || [])
+        .filter(finding => finding.category !== 'secret')
+        .map(finding => ({ scanner: result.id, ...finding })));
+      await upload('vulnerabilities', `${findings.length} finding(s)`,
+        () => client.uploadVulnerabilities(projectId, findings));
+    }
+
+    if (uploads.includes('secrets')) {
+      const secrets = results
+        .filter(result => Array.isArray(result.secrets))
+        .flatMap(result => result.secrets.map(secret => secretDetectorScanner.mapToSBOMSecret(secret)));
+      if (secrets.length > 0) {
+        await upload('secrets', `${secrets.length} secret(s)`, () => client.uploadSecrets(projectId, secrets));
+      }
+    }
+
+    if (uploads.includes('sbom')) {
+      const sbomResult = results.find(result => result.sbomPath);
+      if (sbomResult) {
+        await upload('SBOM', sbomResult.sbomPath,
+          () => client.uploadSbom(projectId, JSON.parse(fs.readFileSync(sbomResult.sbomPath, 'utf8'))));
+      }
+    }
+
+    this.endGroup();
+  }
+
+  /**
+   * Create a GitLab API client from the job environment
+   *
+   * A `gitlab-token` input is sent as a personal/project access token,
+   * otherwise the CI job token is used.
+   */
+  createGitLabClient() {
+    const gitlabToken = this.getInput('gitlab-token');
+    const token = gitlabToken || process.env.CI_JOB_TOKEN;
+    if (!token) {
+      return null;
+    }
+
+    return new GitLabClient({
+      baseUrl: process.env.CI_API_V4_URL || 'https://gitlab.com/api/v4',
+      token,
+      tokenHeader: gitlabToken ? 'PRIVATE-TOKEN' : 'JOB-TOKEN'
+    });
+  }
+
+  /**
+   * Load the baseline report from a file or from the target branch's latest artifact
+   */
+  async loadBaseline() {
+    const baselinePath = this.getInput('baseline');
+    if (baselinePath) {
+      const workspaceDir = this.scanConfig ? this.scanConfig.workspaceDir : process.cwd();
+      const resolvedPath = path.isAbsolute(baselinePath) ? baselinePath : path.resolve(workspaceDir, baselinePath);
+      this.info(`📂 Loading baseline from ${resolvedPath}`);
+      return { source: resolvedPath, report: loadBaselineFile(resolvedPath) };
+    }
+
+    if (this.getInput('baseline-from-target-branch') !== 'true') {
+      return null;
+    }
+
+    const targetBranch = process.env.CI_MERGE_REQUEST_TARGET_BRANCH_NAME || process.env.CI_DEFAULT_BRANCH;
+    const projectId = process.env.CI_PROJECT_ID;
+    const client = this.createGitLabClient();
+    if (!targetBranch || !projectId || !client) {
+      this.warning('Cannot download baseline artifact - target branch, project ID or token missing');
+      return null;
+    }
+
+    const jobName = this.getInput('baseline-job', process.env.CI_JOB_NAME || 'security_scan');
+    const artifactPath = this.getInput('baseline-artifact', 'scan-results.json');
+    const apiPath = `/projects/${encodeURIComponent(projectId)}/jobs/artifacts/` +
+      `${encodeURIComponent(targetBranch)}/raw/${artifactPath}`;
+
+    this.info(`📥 Downloading baseline ${artifactPath} from ${targetBranch} (job: ${jobName})`);
+    const response = await client.get(apiPath, { job: jobName });
+    return { source: `${targetBranch}:${jobName}/${artifactPath}`, report: parseBaseline(response.data) };
+  }
+
+  /**
+   * Split findings into new, fixed and unchanged ones relative to the baseline
+   */
+  async applyBaseline() {
+    let baseline;
+    try {
+      baseline = await this.loadBaseline();
+    } catch (error) {
+      this.warning(`Failed to load baseline, reporting all findings as new: ${error.message}`);
+      return;
+    }
+
+    if (!baseline) {
+      return;
+    }
+
+    const diff = compareWithBaseline(this.results.scannerResults, baseline.report);
+    this.results.baseline = {
+      source: baseline.source,
+      new: diff.new,
+      fixed: diff.fixed,
+      unchanged: diff.unchanged,
+      fixedFindings: diff.fixedFindings
+    };
+    this.newFindings = diff.newFindings;
+
+    this.info(`📐 Baseline comparison: ${diff.new.total} new, ${diff.fixed.total} fixed, ` +
+      `${diff.unchanged.total} unchanged`);
+  }
+
   /**
    * Display consolidated results
    */
@@ -186,16 +768,65 @@ class NTUSecurityOrchestrator {
     this.info(`   🟡 Medium: ${this.results.medium}`);
     this.info(`   🟢 Low: ${this.results.low}`);
     this.info('='.repeat(50));
+
+    if (this.results.suppressed) {
+      this.info(`   🔕 Suppressed (not counted above): ${this.results.suppressed.total}`);
+    }
+
+    if (this.results.baseline) {
+      const { new: added, fixed, unchanged } = this.results.baseline;
+      this.info(`\n📐 Compared to baseline (${this.results.baseline.source}):`);
+      this.info(`   🆕 New: ${added.total} (${added.critical} Critical, ${added.high} High)`);
+      this.info(`   ✅ Fixed: ${fixed.total}`);
+      this.info(`   ➖ Unchanged: ${unchanged.total}`);
+    }
+    
+    // Display the digests of the installed scanner binaries
+    this.results.scannerResults
+      .filter(result => result.installation && result.installation.sha256)
+      .forEach(result => {
+        const { installation } = result;
+        this.info(`🔏 ${result.scanner}: sha256:${installation.sha256} ` +
+          `(${installation.verified ? 'verified' : 'not verified'}, source: ${installation.source})`);
+      });
     
+    // Display findings per image layer for image scans
+    this.results.scannerResults
+      .filter(result => Array.isArray(result.layers) && result.layers.length > 0)
+      .forEach(result => {
+        this.info(`\n🧱 ${result.scanner} findings by image layer (${result.artifactName || 'image'}):`);
+        result.layers.forEach(layer => {
+          this.info(`   #${layer.index + 1} ${shortDigest(layer.diffId)}: ${layer.total} ` +
+            `(${layer.critical} Critical, ${layer.high} High)${layer.createdBy ? ` ← ${layer.createdBy}` : ''}`);
+        });
+      });
+
     // Display per-scanner breakdown
     if (this.results.scannerResults.length > 1) {
       this.info('\n📋 Scanner Breakdown:');
       this.results.scannerResults.forEach(result => {
-        this.info(`\n   ${result.scanner}:`);
-        this.info(`      Total: ${result.total}`);
-        this.info(`      Critical: ${result.critical}, High: ${result.high}`);
+        this.info(`\n   ${result.scanner}: ${SCANNER_STATUS_ICONS[result.status] || ''} ${result.status} ` +
+          `in ${formatDuration(result.durationMs)}`);
+        if (result.status === 'succeeded') {
+          this.info(`      Total: ${result.total}`);
+          this.info(`      Critical: ${result.critical}, High: ${result.high}`);
+          if ((result.lowConfidence || []).length > 0) {
+            this.info(`      Low confidence (not counted): ${result.lowConfidence.length}`);
+          }
+          if ((result.needsReview || []).length > 0) {
+            this.info(`      Needs review (not counted): ${result.needsReview.length}`);
+          }
+        } else {
+          this.info(`      ${result.status === 'skipped' ? 'Reason' : 'Error'}: ${result.error}`);
+        }
       });
     }
+
+    const failedScanners = this.getFailedScanners();
+    if (failedScanners.length > 0) {
+      this.error(`${failedScanners.length} scanner(s) failed; their findings are missing from this report: ` +
+        failedScanners.map(result => result.scanner).join(', '));
+    }
     
     this.endGroup();
   }
@@ -211,13 +842,15 @@ class NTUSecurityOrchestrator {
       high_count: this.results.high,
       medium_count: this.results.medium,
       low_count: this.results.low,
+      failed_scanners: this.getFailedScanners().map(result => result.id).join(','),
+      sbom_path: (this.results.scannerResults.find(result => result.sbomPath) || {}).sbomPath || '',
       scan_result: `Found ${this.results.total} vulnerabilities: ` +
         `${this.results.critical} Critical, ${this.results.high} High, ` +
         `${this.results.medium} Medium, ${this.results.low} Low`
     };
 
     // Write outputs to dotenv file for GitLab CI
-    const dotenvPath = 'scan-outputs.env';
+    const dotenvPath = this.getOutputPath('scan-outputs.env');
     const dotenvContent = Object.entries(outputData)
       .map(([key, value]) => `${key.toUpperCase()}=${value}`)
       .join('\n');
@@ -230,49 +863,227 @@ class NTUSecurityOrchestrator {
     }
 
     // Also write JSON report
-    const jsonPath = 'scan-results.json';
+    const jsonPath = this.getOutputPath('scan-results.json');
     try {
       fs.writeFileSync(jsonPath, JSON.stringify(this.results, null, 2));
       this.info(`📄 JSON report written to ${jsonPath}`);
     } catch (error) {
       this.warning(`Failed to write JSON report: ${error.message}`);
     }
+
+    this.writeSecurityReports();
+    this.writeSarifReport();
+    this.writeSpdxReports();
   }
 
   /**
-   * Post results to Merge Request if applicable
+   * Export the CycloneDX SBOM as SPDX 2.3 in the formats selected by `sbom-format`
+   *
+   * The CycloneDX SBOM is always published since the other scanners read it.
    */
-  async postMRComment() {
-    const gitlabToken = this.getInput('gitlab-token') || process.env.CI_JOB_TOKEN;
-    const gitlabUrl = process.env.CI_API_V4_URL || 'https://gitlab.com/api/v4';
-    const projectId = process.env.CI_PROJECT_ID;
-    const mrIid = process.env.CI_MERGE_REQUEST_IID;
-    
-    if (!gitlabToken || !mrIid) {
-      this.debug('Skipping MR comment - not in merge request context or no token available');
+  writeSpdxReports() {
+    const formats = this.getInput('sbom-format', 'cyclonedx')
+      .split(',')
+      .map(format => format.trim().toLowerCase())
+      .map(format => (format === 'spdx' ? 'spdx-json' : format))
+      .filter(Boolean);
+    formats
+      .filter(format => !SBOM_FORMATS.includes(format))
+      .forEach(format => this.warning(`Unknown sbom-format "${format}" (expected ${SBOM_FORMATS.join(', ')})`));
+
+    const sbomResult = this.results.scannerResults.find(result => result.sbomPath);
+    const spdxFormats = formats.filter(format => format.startsWith('spdx-'));
+    if (!sbomResult || spdxFormats.length === 0) {
+      return;
+    }
+
+    try {
+      const bom = JSON.parse(fs.readFileSync(sbomResult.sbomPath, 'utf8'));
+      const document = spdxReportWriter.buildDocument(bom, { name: process.env.CI_PROJECT_PATH });
+      const basePath = sbomResult.sbomPath.replace(/\.cdx\.json$|\.json$/, '');
+
+      if (spdxFormats.includes('spdx-json')) {
+        fs.writeFileSync(`${basePath}.spdx.json`, JSON.stringify(document, null, 2));
+        this.info(`📦 SPDX JSON SBOM written to ${basePath}.spdx.json`);
+      }
+      if (spdxFormats.includes('spdx-tag-value')) {
+        fs.writeFileSync(`${basePath}.spdx`, spdxReportWriter.toTagValue(document));
+        this.info(`📦 SPDX tag-value SBOM written to ${basePath}.spdx`);
+      }
+    } catch (error) {
+      this.warning(`Failed to write SPDX SBOM: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write a SARIF 2.1.0 log with one run per scanner
+   */
+  writeSarifReport() {
+    const sarifPath = this.getOutputPath('scan-results.sarif');
+    try {
+      const log = sarifReportWriter.buildLog(this.results, {
+        workspaceDir: this.scanConfig ? this.scanConfig.workspaceDir : undefined
+      });
+      fs.writeFileSync(sarifPath, JSON.stringify(log, null, 2));
+      this.info(`📑 SARIF report written to ${sarifPath}`);
+    } catch (error) {
+      this.warning(`Failed to write SARIF report: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write one GitLab security report from the results (and failures) of the scanners it covers
+   *
+   * With `skipEmpty` the report is only written when one of the scanners ran or failed.
+   */
+  writeGitLabReport(target, meta, failures, includesScanner, { skipEmpty = false } = {}) {
+    const scannerResults = this.results.scannerResults.filter(includesScanner);
+    if (skipEmpty && scannerResults.length === 0) {
       return;
     }
 
+    const reportPath = this.getOutputPath(target.fileName);
     try {
-      const https = require('https');
-      const http = require('http');
-      const url = require('url');
-      
-      const status = (this.results.critical > 0 || this.results.high > 0) 
-        ? '🔴 VULNERABILITIES DETECTED' 
-        : '✅ NO CRITICAL ISSUES';
-      const emoji = (this.results.critical > 0 || this.results.high > 0) ? '⚠️' : '✅';
-      
-      let scannerBreakdown = '';
-      if (this.results.scannerResults.length > 1) {
-        scannerBreakdown = '\n### Scanner Breakdown\n\n';
-        this.results.scannerResults.forEach(result => {
-          scannerBreakdown += `**${result.scanner}**: ${result.total} issues ` +
-            `(${result.critical} Critical, ${result.high} High)\n`;
+      const report = gitlabReportWriter.buildReport(target.type, { ...this.results, scannerResults }, {
+        ...meta,
+        failures: failures.filter(includesScanner)
+      });
+      fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+      this.info(`🛡️  GitLab ${target.type} report written to ${reportPath}`);
+    } catch (error) {
+      this.warning(`Failed to write GitLab security report: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write GitLab security reports so findings show up in the Vulnerability Report and MR widget
+   */
+  writeSecurityReports() {
+    const scanType = this.scanConfig ? this.scanConfig.scanType : this.getInput('scan-type', 'fs');
+    const target = gitlabReportWriter.getReportTarget(scanType);
+
+    const trivyResult = this.results.scannerResults
+      .find(result => result.scannerVersion && !Array.isArray(result.secrets)) || {};
+    const meta = {
+      startTime: this.startTime,
+      endTime: this.endTime,
+      scannerVersion: trivyResult.scannerVersion,
+      os: trivyResult.os,
+      image: trivyResult.artifactName || (this.scanConfig && this.scanConfig.rawTarget)
+    };
+    const failures = this.getFailedScanners();
+    const secretFailures = failures.filter(result => result.id === secretDetectorScanner.id);
+
+    if (target && target.type === 'container_scanning') {
+      // Only Trivy scans the image; other scanners (e.g. the workspace SBOM) describe the project
+      const isImageScanner = result => result.id === trivyScanner.id;
+      this.writeGitLabReport(target, meta, failures, isImageScanner);
+      this.writeGitLabReport(gitlabReportWriter.getReportTarget('fs'), meta, failures,
+        result => !isImageScanner(result) && result.id !== secretDetectorScanner.id, { skipEmpty: true });
+    } else if (target) {
+      this.writeGitLabReport(target, meta, failures, result => result.id !== secretDetectorScanner.id);
+    } else {
+      this.debug(`No GitLab security report type for scan type: ${scanType}`);
+    }
+
+    const secretResult = this.results.scannerResults.find(result => Array.isArray(result.secrets)) ||
+      secretFailures[0];
+    if (secretResult) {
+      const secretReportPath = this.getOutputPath(gitlabReportWriter.getSecretReportFileName());
+      try {
+        const report = gitlabReportWriter.buildSecretReport(this.results, {
+          ...meta,
+          secretScannerVersion: secretResult.scannerVersion,
+          failures: secretFailures
         });
+        fs.writeFileSync(secretReportPath, JSON.stringify(report, null, 2));
+        this.info(`🔐 GitLab secret_detection report written to ${secretReportPath}`);
+      } catch (error) {
+        this.warning(`Failed to write GitLab secret detection report: ${error.message}`);
       }
-      
-      const comment = `## ${emoji} NTU Security Scan Report
+    }
+  }
+
+  /**
+   * Build the markdown body of the MR comment
+   */
+  buildMRComment() {
+    const failedScanners = this.getFailedScanners();
+    let status = (this.results.critical > 0 || this.results.high > 0) 
+      ? '🔴 VULNERABILITIES DETECTED' 
+      : '✅ NO CRITICAL ISSUES';
+    let emoji = (this.results.critical > 0 || this.results.high > 0) ? '⚠️' : '✅';
+    if (failedScanners.length > 0) {
+      status = `❌ ${failedScanners.length} SCANNER(S) FAILED, RESULTS INCOMPLETE`;
+      emoji = '❌';
+    }
+    
+    let scannerBreakdown = '';
+    if (this.results.scannerResults.length > 1 || failedScanners.length > 0) {
+      scannerBreakdown = '\n### Scanner Breakdown\n\n' +
+        '| Scanner | Status | Duration | Issues |\n' +
+        '|---------|--------|----------|--------|\n';
+      this.results.scannerResults.forEach(result => {
+        const issues = result.status === 'succeeded'
+          ? `${result.total} (${result.critical} Critical, ${result.high} High)`
+          : (result.error || '').replace(/\|/g, '\\|').replace(/\s+/g, ' ');
+        scannerBreakdown += `| ${result.scanner} | ${SCANNER_STATUS_ICONS[result.status] || ''} ${result.status} | ` +
+          `${formatDuration(result.durationMs)} | ${issues} |\n`;
+      });
+    }
+
+    let layerBreakdown = '';
+    this.results.scannerResults
+      .filter(result => Array.isArray(result.layers) && result.layers.some(layer => layer.total > 0))
+      .forEach(result => {
+        layerBreakdown += `\n### Findings by Image Layer (${result.artifactName || result.scanner})\n\n` +
+          '| # | Layer | Created By | Critical | High | Total |\n' +
+          '|---|-------|------------|----------|------|-------|\n' +
+          result.layers
+            .filter(layer => layer.total > 0)
+            .map(layer => `| ${layer.index + 1} | \`${shortDigest(layer.diffId)}\` | ` +
+              `${(layer.createdBy || '').replace(/\|/g, '\\|').replace(/\s+/g, ' ').substring(0, 80)} | ` +
+              `${layer.critical} | ${layer.high} | ${layer.total} |`)
+            .join('\n') + '\n';
+      });
+
+    const licenseFindings = [];
+    // Licenses needing review are listed too, although they are not counted
+    this.results.scannerResults.forEach(result => {
+      [...(result.vulnerabilities || []), ...(result.needsReview || [])]
+        .filter(finding => finding.category === 'license')
+        .forEach(finding => licenseFindings.push(finding));
+    });
+    let licenseSection = '';
+    if (licenseFindings.length > 0) {
+      const shown = [...licenseFindings]
+        .sort((a, b) => (a.policy === 'deny' ? 0 : 1) - (b.policy === 'deny' ? 0 : 1))
+        .slice(0, MAX_LICENSE_ROWS);
+      licenseSection = '\n### License Policy Violations\n\n' +
+        '| Package | Version | License | Policy |\n' +
+        '|---------|---------|---------|--------|\n' +
+        shown.map(finding => `| ${finding.package} | ${finding.version || ''} | ${finding.license} | ` +
+          `${finding.policy === 'deny' ? '⛔ denied' : '🔎 review'} |`).join('\n') + '\n' +
+        (licenseFindings.length > shown.length
+          ? `\n…and ${licenseFindings.length - shown.length} more, see the job artifacts.\n`
+          : '');
+    }
+
+    const lowConfidence = this.results.scannerResults.flatMap(result => result.lowConfidence || []);
+    let lowConfidenceSection = '';
+    if (lowConfidence.length > 0) {
+      const shown = lowConfidence.slice(0, MAX_LOW_CONFIDENCE_ROWS);
+      lowConfidenceSection = '\n<details><summary>🤷 ' +
+        `${lowConfidence.length} low-confidence secret finding(s), not counted</summary>\n\n` +
+        '| Rule | File | Confidence | Why |\n' +
+        '|------|------|------------|-----|\n' +
+        shown.map(finding => `| ${finding.RuleID} | \`${finding.Path || finding.File}\` | ` +
+          `${finding.confidence.score} | ${finding.confidence.signals.join(', ').replace(/\|/g, '\\|')} |`).join('\n') + '\n' +
+        (lowConfidence.length > shown.length ? `\n…and ${lowConfidence.length - shown.length} more.\n` : '') +
+        '\n</details>\n';
+    }
+
+    return `## ${emoji} NTU Security Scan Report
 
 **Status:** ${status}
 
@@ -284,54 +1095,322 @@ class NTUSecurityOrchestrator {
 | 🟡 Medium | ${this.results.medium} |
 | 🟢 Low | ${this.results.low} |
 | **Total** | **${this.results.total}** |
-${scannerBreakdown}
-${this.results.total > 0 ? 
+${this.results.suppressed ? `\n🔕 ${this.results.suppressed.total} finding(s) suppressed by the ignore file\n` : ''}${this.buildBaselineSection()}${scannerBreakdown}${layerBreakdown}${licenseSection}${lowConfidenceSection}
+${failedScanners.length > 0 ?
+  '❌ Some scanners failed, so this report is incomplete. Check the job log before merging.' :
+  this.results.total > 0 ? 
   '⚠️ Please review and address the security vulnerabilities found.' : 
   '✨ No security vulnerabilities detected!'}
 
 ---
 *Powered by NTU Security Scanner*`;
-      
-      const apiUrl = `${gitlabUrl}/projects/${projectId}/merge_requests/${mrIid}/notes`;
-      const parsedUrl = url.parse(apiUrl);
-      const protocol = parsedUrl.protocol === 'https:' ? https : http;
-      
-      const postData = JSON.stringify({ body: comment });
-      
-      const options = {
-        hostname: parsedUrl.hostname,
-        port: parsedUrl.port,
-        path: parsedUrl.path,
-        method: 'POST',
-        headers: {
-          'PRIVATE-TOKEN': gitlabToken,
-          'Content-Type': 'application/json',
-          'Content-Length': Buffer.byteLength(postData)
+  }
+
+  /**
+   * Build the new/fixed/unchanged section of the MR comment
+   */
+  buildBaselineSection() {
+    if (!this.results.baseline) {
+      return '';
+    }
+
+    const { new: added, fixed, unchanged } = this.results.baseline;
+    let section = '\n### Changes Introduced by this Merge Request\n' +
+      '| | Total | Critical | High | Medium | Low |\n' +
+      '|---|---|---|---|---|---|\n' +
+      [['🆕 New', added], ['✅ Fixed', fixed], ['➖ Unchanged', unchanged]]
+        .map(([label, counts]) => `| ${label} | ${counts.total} | ${counts.critical} | ` +
+          `${counts.high} | ${counts.medium} | ${counts.low} |`)
+        .join('\n') + '\n';
+
+    const maxListed = 20;
+    const newFindings = this.newFindings || [];
+    if (newFindings.length > 0) {
+      section += '\n**New findings:**\n\n';
+      newFindings.slice(0, maxListed).forEach(finding => {
+        section += finding.category === 'secret'
+          ? `- 🔐 ${finding.Description || finding.RuleID} in \`${finding.Path || finding.File}\`` +
+            `${this.describeSecretCommit(finding)}\n`
+          : `- **${finding.severity || 'UNKNOWN'}** ${finding.id} in \`${finding.package || finding.target}\`` +
+            `${finding.fixedVersion ? ` (fixed in ${finding.fixedVersion})` : ''}\n`;
+      });
+      if (newFindings.length > maxListed) {
+        section += `- …and ${newFindings.length - maxListed} more\n`;
+      }
+    }
+
+    return section;
+  }
+
+  /**
+   * Find the note posted by a previous pipeline of this MR
+   *
+   * Only notes written by the token's user are considered, so a comment quoting the marker
+   * is never overwritten.
+   */
+  async findPreviousNote(client, notesPath) {
+    try {
+      const { data: user } = await client.get('/user');
+      const notes = await client.getAllPages(notesPath, { sort: 'desc', order_by: 'updated_at' });
+      return notes.find(note => !note.system &&
+        note.author && note.author.id === user.id &&
+        typeof note.body === 'string' && note.body.includes(MR_NOTE_MARKER)) || null;
+    } catch (error) {
+      this.warning(`Failed to list MR notes, a new note will be posted: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Fold the previous report into a collapsed section below the new one
+   */
+  collapsePreviousReport(comment, previousBody) {
+    const previousReport = previousBody
+      .replace(MR_NOTE_MARKER, '')
+      .replace(/\n*<details>\s*<summary>Previous scan results<\/summary>[\s\S]*<\/details>\s*$/, '')
+      .trim();
+
+    return `${comment}\n\n<details>\n<summary>Previous scan results</summary>\n\n${previousReport}\n\n</details>`;
+  }
+
+  /**
+   * Post results to Merge Request if applicable, updating the previous report in place
+   */
+  async postMRComment() {
+    const client = this.createGitLabClient();
+    const projectId = process.env.CI_PROJECT_ID;
+    const mrIid = process.env.CI_MERGE_REQUEST_IID;
+    
+    if (!client || !mrIid) {
+      this.debug('Skipping MR comment - not in merge request context or no token available');
+      return;
+    }
+
+    const notesPath = `/projects/${encodeURIComponent(projectId)}/merge_requests/${mrIid}/notes`;
+    let comment = `${MR_NOTE_MARKER}\n${this.buildMRComment()}`;
+
+    const previousNote = await this.findPreviousNote(client, notesPath);
+    if (previousNote) {
+      if (this.getInput('collapse-previous-report') === 'true') {
+        comment = this.collapsePreviousReport(comment, previousNote.body);
+      }
+
+      try {
+        await client.put(`${notesPath}/${previousNote.id}`, { body: comment });
+        this.info(`💬 Updated scan results in MR note #${previousNote.id}`);
+        return;
+      } catch (error) {
+        this.warning(`Failed to update MR note #${previousNote.id}, posting a new one: ${error.message}`);
+      }
+    }
+
+    try {
+      await client.post(notesPath, { body: comment });
+      this.info('💬 Posted scan results to MR comment');
+    } catch (error) {
+      this.warning(`Failed to post MR comment: ${error.message}`);
+    }
+  }
+
+  /**
+   * Collect the lines added by the merge request, keyed by new file path
+   */
+  async getMergeRequestAddedLines(client, mrPath) {
+    let diffs;
+    try {
+      diffs = await client.getAllPages(`${mrPath}/diffs`);
+    } catch (error) {
+      // GitLab < 15.7 has no diffs endpoint
+      this.debug(`MR diffs endpoint unavailable, falling back to changes: ${error.message}`);
+      const response = await client.get(`${mrPath}/changes`);
+      diffs = response.data.changes || [];
+    }
+
+    const addedLines = new Map();
+    diffs
+      .filter(diff => !diff.deleted_file)
+      .forEach(diff => addedLines.set(diff.new_path, parseAddedLines(diff.diff)));
+    return addedLines;
+  }
+
+  /**
+   * Describe the commit that introduced a secret found in git history, e.g. ` (commit abc1234 by Jo on 2024-05-01)`
+   */
+  describeSecretCommit(secret) {
+    if (!secret.Commit) {
+      return '';
+    }
+    const author = secret.Author ? ` by ${secret.Author}` : '';
+    const date = secret.Date ? ` on ${secret.Date.substring(0, 10)}` : '';
+    return ` (commit ${secret.Commit.substring(0, 8)}${author}${date})`;
+  }
+
+  /**
+   * Build the inline MR discussion for a secret
+   *
+   * Only the redacted secret is posted; the matched line may hold more of the value.
+   */
+  buildSecretDiscussion(secret, marker) {
+    return `<!-- ntu-secret:${marker} -->\n` +
+      `🔐 **Possible secret detected:** ${secret.Description || secret.RuleID} (rule \`${secret.RuleID}\`)\n\n` +
+      `Secret: \`${secret.Secret}\`${this.describeSecretCommit(secret)}\n\n` +
+      'Revoke and rotate this secret, then remove it from the branch history.';
+  }
+
+  /**
+   * Get the repository-relative path of a secret finding
+   */
+  getSecretRepoPath(secret) {
+    const filePath = secret.Path || (secret.File || '').replace(/^\/+/, '');
+    const workspaceDir = this.scanConfig ? this.scanConfig.workspaceDir : process.cwd();
+    const relative = path.isAbsolute(filePath) ? path.relative(workspaceDir, filePath) : filePath;
+    return relative.split(path.sep).join('/').replace(/^\.\//, '');
+  }
+
+  /**
+   * Open MR discussions on the changed lines where secrets were found
+   */
+  async postSecretDiscussions() {
+    if (this.getInput('inline-secret-comments') !== 'true') {
+      return;
+    }
+
+    const client = this.createGitLabClient();
+    const projectId = process.env.CI_PROJECT_ID;
+    const mrIid = process.env.CI_MERGE_REQUEST_IID;
+    if (!client || !mrIid) {
+      this.debug('Skipping inline secret comments - not in merge request context or no token available');
+      return;
+    }
+
+    const secrets = [];
+    this.results.scannerResults.forEach(result => {
+      (result.vulnerabilities || [])
+        .filter(finding => finding.category === 'secret')
+        .forEach(finding => secrets.push(finding));
+    });
+    if (secrets.length === 0) {
+      return;
+    }
+
+    const mrPath = `/projects/${encodeURIComponent(projectId)}/merge_requests/${mrIid}`;
+    try {
+      const { data: mergeRequest } = await client.get(mrPath);
+      const diffRefs = mergeRequest.diff_refs;
+      if (!diffRefs) {
+        this.warning('Merge request has no diff refs yet, skipping inline secret comments');
+        return;
+      }
+
+      const addedLines = await this.getMergeRequestAddedLines(client, mrPath);
+      const discussions = await client.getAllPages(`${mrPath}/discussions`);
+      const existingMarkers = new Set();
+      discussions.forEach(discussion => (discussion.notes || []).forEach(note => {
+        const match = /<!-- ntu-secret:([a-f0-9]+) -->/.exec(note.body || '');
+        if (match) {
+          existingMarkers.add(match[1]);
         }
-      };
-      
-      await new Promise((resolve, reject) => {
-        const req = protocol.request(options, (res) => {
-          let data = '';
-          res.on('data', chunk => data += chunk);
-          res.on('end', () => {
-            if (res.statusCode >= 200 && res.statusCode < 300) {
-              this.info('💬 Posted scan results to MR comment');
-              resolve();
-            } else {
-              reject(new Error(`GitLab API returned ${res.statusCode}: ${data}`));
+      }));
+
+      let posted = 0;
+      let skipped = 0;
+      for (const secret of secrets) {
+        const filePath = this.getSecretRepoPath(secret);
+        const fileLines = addedLines.get(filePath);
+        const startLine = parseInt(secret.StartLine, 10);
+        const endLine = parseInt(secret.EndLine, 10) || startLine;
+
+        let line = null;
+        for (let current = startLine; fileLines && current <= endLine; current++) {
+          if (fileLines.has(current)) {
+            line = current;
+            break;
+          }
+        }
+
+        const marker = fingerprint(secret);
+        if (!line || existingMarkers.has(marker)) {
+          skipped++;
+          continue;
+        }
+
+        try {
+          await client.post(`${mrPath}/discussions`, {
+            body: this.buildSecretDiscussion(secret, marker),
+            position: {
+              position_type: 'text',
+              base_sha: diffRefs.base_sha,
+              start_sha: diffRefs.start_sha,
+              head_sha: diffRefs.head_sha,
+              new_path: filePath,
+              new_line: line
             }
           });
-        });
-        
-        req.on('error', reject);
-        req.write(postData);
-        req.end();
-      });
-      
+          posted++;
+        } catch (error) {
+          this.warning(`Failed to comment on ${filePath}:${line}: ${error.message}`);
+        }
+      }
+
+      this.info(`💬 Opened ${posted} inline secret discussion(s), skipped ${skipped} ` +
+        'finding(s) outside the diff or already reported');
     } catch (error) {
-      this.warning(`Failed to post MR comment: ${error.message}`);
+      this.warning(`Failed to post inline secret comments: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build the counts the failure policy is evaluated against
+   */
+  buildPolicyContext(fixableOnly) {
+    const context = { scanners: {} };
+    const totals = { total: 0, critical: 0, high: 0, medium: 0, low: 0 };
+
+    // Every selected scanner can be referenced, even one that failed and returned no result
+    this.scanners.forEach(scanner => {
+      context.scanners[scanner.id] = { ...totals };
+    });
+
+    const newOnly = Boolean(this.results.baseline);
+
+    this.results.scannerResults.forEach(result => {
+      const counts = fixableOnly || newOnly
+        ? countFindings((result.vulnerabilities || []).filter(finding =>
+          (!fixableOnly || isFixable(finding)) && (!newOnly || finding.baselineStatus === 'new')))
+        : {
+          total: result.total || 0,
+          critical: result.critical || 0,
+          high: result.high || 0,
+          medium: result.medium || 0,
+          low: result.low || 0
+        };
+
+      if (result.id) {
+        context.scanners[result.id] = counts;
+      }
+      Object.keys(totals).forEach(key => {
+        totals[key] += counts[key];
+      });
+    });
+
+    return { ...context, ...totals };
+  }
+
+  /**
+   * Parse the `fail-on` policy and check it against the selected scanners
+   *
+   * Runs before any scan so a typo fails the job straight away; returns null when the exit
+   * code is disabled and the policy is never evaluated.
+   */
+  loadFailurePolicy() {
+    if (this.getInput('exit-code', '1') === '0') {
+      return null;
     }
+    this.failurePolicy = policyEvaluator.validate(
+      this.getInput('fail-on', 'total>0'),
+      this.scanners.map(scanner => scanner.id)
+    );
+    return this.failurePolicy;
   }
 
   /**
@@ -343,8 +1422,34 @@ ${this.results.total > 0 ?
     if (exitCode === '0') {
       return false;
     }
-    
-    return this.results.total > 0;
+
+    const policy = this.getInput('fail-on', 'total>0');
+    const fixableOnly = this.getInput('fail-on-fixable-only') === 'true';
+    const context = this.buildPolicyContext(fixableOnly);
+    const policyTree = this.failurePolicy || this.loadFailurePolicy();
+
+    const scopes = [
+      fixableOnly ? 'fixable findings only' : null,
+      this.results.baseline ? 'new findings only' : null
+    ].filter(Boolean);
+    this.info(`🚦 Failure policy: ${policy}${scopes.length ? ` (${scopes.join(', ')})` : ''}`);
+    const evaluation = policyEvaluator.evaluate(policyTree, context);
+
+    this.failureReasons = evaluation.reasons;
+    evaluation.reasons.forEach(reason => this.error(`Policy rule tripped: ${reason}`));
+
+    // A failed scanner reports no findings, which must not pass as a clean scan
+    const failedScanners = this.getFailedScanners();
+    if (failedScanners.length > 0 && this.getInput('fail-on-scanner-error', 'true') !== 'false') {
+      failedScanners.forEach(result => {
+        const reason = `scanner ${result.id} failed (${result.error})`;
+        this.failureReasons.push(reason);
+        this.error(`Failing closed: ${reason}`);
+      });
+      return true;
+    }
+
+    return evaluation.failed;
   }
 
   /**
@@ -361,30 +1466,44 @@ async function run() {
     const orchestrator = new NTUSecurityOrchestrator();
     
     // Register scanners
-    orchestrator.registerScanner(trivyScanner);
-    // orchestrator.registerScanner(cdxgenScanner);
-    // orchestrator.registerScanner(secretDetectorScanner);
+    orchestrator.registerSelectedScanners();
+
+    // Reject an invalid failure policy before spending time on scans
+    orchestrator.loadFailurePolicy();
     
     // Initialize all scanners
     await orchestrator.initializeScanners();
     
     // Run all scans
     await orchestrator.runScans();
+
+    // Drop findings suppressed by the ignore file
+    orchestrator.applySuppressionFile();
+
+    // Compare against the baseline, if configured
+    await orchestrator.applyBaseline();
     
     // Display results
     orchestrator.displayResults();
     
     // Set outputs
     orchestrator.setOutputs();
+
+    // Upload results to the NeoTrak platform
+    await orchestrator.uploadToNeoTrak();
     
     // Post MR comment
     await orchestrator.postMRComment();
+
+    // Comment on the lines where secrets were introduced
+    await orchestrator.postSecretDiscussions();
     
     // Check if should fail
     if (orchestrator.shouldFail()) {
       orchestrator.setFailed(
         `NTU Security Scanner found ${orchestrator.results.total} vulnerabilities ` +
-        `(${orchestrator.results.critical} Critical, ${orchestrator.results.high} High)`
+        `(${orchestrator.results.critical} Critical, ${orchestrator.results.high} High); ` +
+        `failure policy tripped by: ${orchestrator.failureReasons.join(', ')}`
       );
     } else {
       orchestrator.info('✅ Security scan completed successfully');
@@ -396,4 +1515,9 @@ async function run() {
   }
 }
 
-run();
\ No newline at end of file
+// Run when executed directly; tests require the module instead
+if (require.main === module) {
+  run();
+}
+
+module.exports = { NTUSecurityOrchestrator, run };
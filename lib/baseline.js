@@ -0,0 +1,80 @@
+const fs = require('fs');
+const { countFindings, fingerprint } = require('./findings');
+
+/**
+ * Read a previous scan-results.json report
+ */
+function loadBaselineFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Baseline file does not exist: ${filePath}`);
+  }
+  return parseBaseline(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Parse the content of a previous scan-results.json report
+ */
+function parseBaseline(content) {
+  const data = typeof content === 'string' ? JSON.parse(content) : content;
+  if (!data || !Array.isArray(data.scannerResults)) {
+    throw new Error('Baseline is not an NTU scan-results.json report (missing scannerResults)');
+  }
+  return data;
+}
+
+/**
+ * Compare current scanner results against a baseline report
+ *
+ * Every current finding is tagged with `baselineStatus` ('new' or 'unchanged');
+ * findings only present in the baseline are returned as fixed.
+ */
+function compareWithBaseline(scannerResults, baseline) {
+  // Findings of scanners that did not complete now would otherwise all count as fixed
+  const incomplete = new Set(scannerResults
+    .filter(result => result.status && result.status !== 'succeeded')
+    .map(result => result.scanner));
+
+  const baselineFindings = new Map();
+  baseline.scannerResults.filter(result => !incomplete.has(result.scanner)).forEach(result => {
+    (result.vulnerabilities || []).forEach(finding => {
+      baselineFindings.set(fingerprint(finding), { ...finding, scanner: result.scanner });
+    });
+  });
+
+  const newFindings = [];
+  const unchangedFindings = [];
+  const currentFingerprints = new Set();
+
+  scannerResults.forEach(result => {
+    (result.vulnerabilities || []).forEach(finding => {
+      const key = fingerprint(finding);
+      currentFingerprints.add(key);
+
+      if (baselineFindings.has(key)) {
+        finding.baselineStatus = 'unchanged';
+        unchangedFindings.push({ ...finding, scanner: result.scanner });
+      } else {
+        finding.baselineStatus = 'new';
+        newFindings.push({ ...finding, scanner: result.scanner });
+      }
+    });
+  });
+
+  const fixedFindings = [...baselineFindings.entries()]
+    .filter(([key]) => !currentFingerprints.has(key))
+    .map(([, finding]) => finding);
+
+  return {
+    new: countFindings(newFindings),
+    fixed: countFindings(fixedFindings),
+    unchanged: countFindings(unchangedFindings),
+    newFindings,
+    fixedFindings
+  };
+}
+
+module.exports = {
+  loadBaselineFile,
+  parseBaseline,
+  compareWithBaseline
+};
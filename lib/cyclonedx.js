@@ -0,0 +1,118 @@
+const SPEC_VERSIONS = ['1.2', '1.3', '1.4', '1.5', '1.6'];
+
+const COMPONENT_TYPES = [
+  'application', 'framework', 'library', 'container', 'platform', 'operating-system', 'device',
+  'device-driver', 'firmware', 'file', 'machine-learning-model', 'data', 'cryptographic-asset'
+];
+
+// Namespace of the properties this scanner adds to SBOM metadata
+const PROPERTY_PREFIX = 'ntu-scanner';
+
+/**
+ * Add CI metadata (project path, commit SHA, pipeline ID) to an SBOM's metadata properties
+ *
+ * Existing properties with the same names are replaced; empty values are skipped.
+ */
+function enrichBom(bom, metadata = {}) {
+  const values = {
+    [`${PROPERTY_PREFIX}:ci:project_path`]: metadata.projectPath,
+    [`${PROPERTY_PREFIX}:ci:commit_sha`]: metadata.commitSha,
+    [`${PROPERTY_PREFIX}:ci:pipeline_id`]: metadata.pipelineId
+  };
+  const added = Object.entries(values)
+    .filter(([, value]) => value)
+    .map(([name, value]) => ({ name, value: String(value) }));
+
+  bom.metadata = bom.metadata || {};
+  const names = added.map(property => property.name);
+  bom.metadata.properties = [
+    ...(bom.metadata.properties || []).filter(property => !names.includes(property.name)),
+    ...added
+  ];
+  return bom;
+}
+
+/**
+ * Check that a document is a structurally valid CycloneDX JSON SBOM
+ *
+ * Covers the parts consumers rely on (format, spec version, components, licenses and the
+ * dependency graph) and returns a list of problems, empty when the SBOM is valid.
+ */
+function validateBom(bom) {
+  if (!bom || typeof bom !== 'object' || Array.isArray(bom)) {
+    return ['SBOM is not a JSON object'];
+  }
+
+  const errors = [];
+  if (bom.bomFormat !== 'CycloneDX') {
+    errors.push(`bomFormat must be "CycloneDX", got ${JSON.stringify(bom.bomFormat)}`);
+  }
+  if (!SPEC_VERSIONS.includes(bom.specVersion)) {
+    errors.push(`unsupported specVersion ${JSON.stringify(bom.specVersion)} (expected ${SPEC_VERSIONS.join(', ')})`);
+  }
+  if (bom.serialNumber !== undefined && !/^urn:uuid:[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(bom.serialNumber)) {
+    errors.push(`serialNumber is not a urn:uuid: ${bom.serialNumber}`);
+  }
+  if (bom.version !== undefined && (!Number.isInteger(bom.version) || bom.version < 1)) {
+    errors.push(`version must be a positive integer, got ${JSON.stringify(bom.version)}`);
+  }
+  if (bom.components !== undefined && !Array.isArray(bom.components)) {
+    errors.push('components must be an array');
+  }
+
+  const refs = new Set();
+  const checkComponent = (component, label) => {
+    if (!component || typeof component !== 'object') {
+      errors.push(`${label} is not an object`);
+      return;
+    }
+    if (!COMPONENT_TYPES.includes(component.type)) {
+      errors.push(`${label} has an invalid type ${JSON.stringify(component.type)}`);
+    }
+    if (typeof component.name !== 'string' || !component.name) {
+      errors.push(`${label} has no name`);
+    }
+    if (component['bom-ref'] !== undefined) {
+      if (refs.has(component['bom-ref'])) {
+        errors.push(`${label} reuses bom-ref ${component['bom-ref']}`);
+      }
+      refs.add(component['bom-ref']);
+    }
+    (component.licenses || []).forEach((entry, index) => {
+      const license = entry && entry.license;
+      if (!entry || (!entry.expression && !(license && (license.id || license.name)))) {
+        errors.push(`${label} license #${index + 1} has no id, name or expression`);
+      }
+    });
+    (component.components || []).forEach((child, index) => checkComponent(child, `${label} > component #${index + 1}`));
+  };
+
+  if (bom.metadata && bom.metadata.component) {
+    checkComponent(bom.metadata.component, 'metadata.component');
+  }
+  (Array.isArray(bom.components) ? bom.components : [])
+    .forEach((component, index) => checkComponent(component, `component #${index + 1} (${component && component.name})`));
+
+  if (bom.dependencies !== undefined) {
+    if (!Array.isArray(bom.dependencies)) {
+      errors.push('dependencies must be an array');
+    } else {
+      bom.dependencies.forEach((dependency, index) => {
+        if (!dependency || typeof dependency.ref !== 'string') {
+          errors.push(`dependency #${index + 1} has no ref`);
+          return;
+        }
+        [dependency.ref, ...(dependency.dependsOn || [])]
+          .filter(ref => !refs.has(ref))
+          .forEach(ref => errors.push(`dependency #${index + 1} references unknown bom-ref ${ref}`));
+      });
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  enrichBom,
+  validateBom
+};
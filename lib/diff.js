@@ -0,0 +1,31 @@
+/**
+ * Collect the new-file line numbers added by a unified diff
+ */
+function parseAddedLines(diffText) {
+  const added = new Set();
+  let newLine = 0;
+
+  (diffText || '').split('\n').forEach(line => {
+    const hunk = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/.exec(line);
+    if (hunk) {
+      newLine = parseInt(hunk[1], 10);
+      return;
+    }
+    if (newLine === 0 || line.startsWith('\\')) {
+      return;
+    }
+
+    if (line.startsWith('+')) {
+      added.add(newLine);
+      newLine++;
+    } else if (!line.startsWith('-')) {
+      newLine++;
+    }
+  });
+
+  return added;
+}
+
+module.exports = {
+  parseAddedLines
+};
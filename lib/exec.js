@@ -0,0 +1,117 @@
+const { spawn } = require('child_process');
+const { redactText } = require('./redact');
+
+// Grace period between SIGTERM and SIGKILL when a command is aborted
+const KILL_GRACE_MS = 5000;
+
+/**
+ * Run a command asynchronously, streaming its output line by line
+ *
+ * Output lines are printed with a `[label]` prefix so concurrent scanners stay readable;
+ * with `capture` the output is collected instead. Aborting `signal` kills the process.
+ * Resolves with the exit code and any captured output; non-zero exit codes only reject
+ * when `allowedExitCodes` does not list them.
+ */
+function runCommand(command, args, options = {}) {
+  const {
+    cwd,
+    env = process.env,
+    signal,
+    label,
+    capture = false,
+    allowedExitCodes = [0]
+  } = options;
+
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(new Error(`${command} was aborted before it started`));
+      return;
+    }
+
+    // Own process group so an abort also stops the tool's child processes
+    const child = spawn(command, args, { cwd, env, stdio: ['ignore', 'pipe', 'pipe'], detached: true });
+    let stdout = '';
+    let stderr = '';
+    let aborted = false;
+    let killTimer = null;
+
+    // Tools may echo secrets they were given or found, so lines go through the log redaction
+    const print = line => console.log(redactText(label ? `[${label}] ${line}` : line));
+
+    const streamLines = (stream, onText) => {
+      let pending = '';
+      stream.on('data', chunk => {
+        const text = chunk.toString();
+        onText(text);
+        if (capture) {
+          return;
+        }
+        pending += text;
+        const lines = pending.split('\n');
+        pending = lines.pop();
+        lines.forEach(line => print(line));
+      });
+      stream.on('end', () => {
+        if (!capture && pending) {
+          print(pending);
+        }
+      });
+    };
+
+    streamLines(child.stdout, text => { stdout += text; });
+    streamLines(child.stderr, text => { stderr += text; });
+
+    const killGroup = killSignal => {
+      try {
+        process.kill(-child.pid, killSignal);
+      } catch (error) {
+        child.kill(killSignal);
+      }
+    };
+
+    const onAbort = () => {
+      aborted = true;
+      killGroup('SIGTERM');
+      killTimer = setTimeout(() => killGroup('SIGKILL'), KILL_GRACE_MS);
+    };
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    child.on('error', error => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      reject(new Error(`Failed to start ${command}: ${error.message}`));
+    });
+
+    child.on('close', (code, closeSignal) => {
+      clearTimeout(killTimer);
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+
+      if (aborted) {
+        reject(new Error(`${command} was aborted`));
+        return;
+      }
+      if (code === null) {
+        reject(new Error(`${command} was killed by ${closeSignal}`));
+        return;
+      }
+      if (!allowedExitCodes.includes(code)) {
+        const error = new Error(`${command} exited with code ${code}`);
+        error.code = code;
+        error.stdout = stdout;
+        error.stderr = stderr;
+        reject(error);
+        return;
+      }
+      resolve({ code, stdout, stderr });
+    });
+  });
+}
+
+module.exports = {
+  runCommand
+};
@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+/**
+ * Count findings by severity in the orchestrator's result shape
+ */
+function countFindings(findings = []) {
+  const counts = { total: 0, critical: 0, high: 0, medium: 0, low: 0 };
+  findings.forEach(finding => {
+    counts.total++;
+    const severity = (finding.severity || '').toLowerCase();
+    if (SEVERITIES.includes(severity)) {
+      counts[severity]++;
+    }
+  });
+  return counts;
+}
+
+/**
+ * A finding is fixable when it is not a package vulnerability or a fixed version exists
+ */
+function isFixable(finding) {
+  return finding.category !== 'vulnerability' || Boolean(finding.fixedVersion);
+}
+
+/**
+ * Compute a stable fingerprint identifying a finding across pipelines
+ *
+ * Versions and line numbers are left out so upgrades that keep a CVE open or edits
+ * that move a secret around a file are not reported as new findings.
+ */
+function fingerprint(finding) {
+  if (finding.fingerprint) {
+    return finding.fingerprint;
+  }
+
+  let parts;
+  if (finding.category === 'secret') {
+    const value = crypto.createHash('sha256').update(finding.Secret || finding.Match || '').digest('hex');
+    parts = ['secret', finding.RuleID, finding.Path || finding.File, value];
+  } else if (finding.category === 'misconfiguration') {
+    parts = ['misconfiguration', finding.id, finding.target, finding.resource];
+  } else {
+    parts = [finding.category || 'vulnerability', finding.id, finding.package, finding.target];
+  }
+
+  return crypto.createHash('sha256').update(parts.map(part => part || '').join('|')).digest('hex').substring(0, 32);
+}
+
+module.exports = {
+  SEVERITIES,
+  countFindings,
+  isFixable,
+  fingerprint
+};
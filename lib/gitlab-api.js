@@ -0,0 +1,109 @@
+const https = require('https');
+const http = require('http');
+
+/**
+ * Minimal GitLab REST API client built on Node's http(s) modules
+ */
+class GitLabClient {
+  constructor({ baseUrl, token, tokenHeader = 'PRIVATE-TOKEN' }) {
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.token = token;
+    this.tokenHeader = tokenHeader;
+  }
+
+  /**
+   * Send a request to the API and resolve with the status, headers and parsed body
+   */
+  request(method, apiPath, { body, query } = {}) {
+    const url = new URL(`${this.baseUrl}${apiPath}`);
+    Object.entries(query || {}).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        url.searchParams.set(key, String(value));
+      }
+    });
+
+    const protocol = url.protocol === 'https:' ? https : http;
+    const postData = body === undefined ? null : JSON.stringify(body);
+
+    const headers = {
+      [this.tokenHeader]: this.token,
+      Accept: 'application/json'
+    };
+    if (postData !== null) {
+      headers['Content-Type'] = 'application/json';
+      headers['Content-Length'] = Buffer.byteLength(postData);
+    }
+
+    const options = {
+      hostname: url.hostname,
+      port: url.port,
+      path: `${url.pathname}${url.search}`,
+      method,
+      headers
+    };
+
+    return new Promise((resolve, reject) => {
+      const req = protocol.request(options, (res) => {
+        let data = '';
+        res.on('data', chunk => data += chunk);
+        res.on('end', () => {
+          if (res.statusCode < 200 || res.statusCode >= 300) {
+            const error = new Error(`GitLab API returned ${res.statusCode}: ${data}`);
+            error.statusCode = res.statusCode;
+            reject(error);
+            return;
+          }
+
+          let parsed = data;
+          if (data && (res.headers['content-type'] || '').includes('json')) {
+            try {
+              parsed = JSON.parse(data);
+            } catch (parseError) {
+              reject(new Error(`Invalid JSON from GitLab API: ${parseError.message}`));
+              return;
+            }
+          }
+          resolve({ statusCode: res.statusCode, headers: res.headers, data: parsed });
+        });
+      });
+
+      req.on('error', reject);
+      if (postData !== null) {
+        req.write(postData);
+      }
+      req.end();
+    });
+  }
+
+  /**
+   * Fetch every page of a paginated list endpoint
+   */
+  async getAllPages(apiPath, query = {}, maxPages = 50) {
+    const items = [];
+    let page = 1;
+
+    while (page && page <= maxPages) {
+      const response = await this.get(apiPath, { per_page: 100, ...query, page });
+      items.push(...(Array.isArray(response.data) ? response.data : []));
+
+      const nextPage = parseInt(response.headers['x-next-page'], 10);
+      page = Number.isNaN(nextPage) ? null : nextPage;
+    }
+
+    return items;
+  }
+
+  get(apiPath, query) {
+    return this.request('GET', apiPath, { query });
+  }
+
+  post(apiPath, body) {
+    return this.request('POST', apiPath, { body });
+  }
+
+  put(apiPath, body) {
+    return this.request('PUT', apiPath, { body });
+  }
+}
+
+module.exports = GitLabClient;
@@ -0,0 +1,306 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execSync } = require('child_process');
+
+/**
+ * Install configuration used when a scanner is installed without one from the orchestrator
+ */
+function getDefaultInstallConfig() {
+  return {
+    cacheDir: process.env.SCANNER_CACHE_DIR || path.join(os.homedir(), '.cache', 'ntu-scanner'),
+    offline: false,
+    verifyChecksums: true,
+    verifySignatures: false,
+    archiveDir: '',
+    mirrorUrl: '',
+    npmRegistry: '',
+    binaries: {},
+    checksums: {},
+    packages: {}
+  };
+}
+
+/**
+ * Compute the SHA-256 digest of a file
+ */
+function sha256File(filePath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+/**
+ * Verify a file against an expected SHA-256 digest and return the actual digest
+ */
+function verifyChecksum(filePath, expected) {
+  const actual = sha256File(filePath);
+  if (expected && actual !== expected.trim().toLowerCase()) {
+    throw new Error(`Checksum mismatch for ${path.basename(filePath)}: expected ${expected}, got ${actual}`);
+  }
+  return actual;
+}
+
+/**
+ * Build the download URL of a release archive, honouring an internal mirror
+ *
+ * The mirror URL may use {tool}, {version} and {file} placeholders; without them
+ * archives are expected at `<mirror>/<tool>/<version>/<file>`.
+ */
+function resolveDownloadUrl({ tool, version, fileName, releaseUrl }, mirrorUrl) {
+  if (!mirrorUrl) {
+    return `${releaseUrl}/${fileName}`;
+  }
+  if (/\{(tool|version|file)\}/.test(mirrorUrl)) {
+    return mirrorUrl
+      .replace(/\{tool\}/g, tool)
+      .replace(/\{version\}/g, version)
+      .replace(/\{file\}/g, fileName);
+  }
+  return `${mirrorUrl.replace(/\/+$/, '')}/${tool}/${version}/${fileName}`;
+}
+
+/**
+ * Parse a `<sha256>  <file name>` checksums listing
+ */
+function parseChecksums(content) {
+  const checksums = {};
+  content.split('\n').forEach(line => {
+    const match = /^([a-f0-9]{64})\s+\*?(.+)$/i.exec(line.trim());
+    if (match) {
+      checksums[match[2].trim()] = match[1].toLowerCase();
+    }
+  });
+  return checksums;
+}
+
+/**
+ * Locate a release asset in the local archive directory or download it
+ *
+ * Returns null when the asset is not available locally in offline mode.
+ */
+function fetchReleaseAsset(release, assetName, installConfig, tempDir, logger) {
+  const localAsset = installConfig.archiveDir ? path.join(installConfig.archiveDir, assetName) : null;
+  if (localAsset && fs.existsSync(localAsset)) {
+    return localAsset;
+  }
+  if (installConfig.offline) {
+    return null;
+  }
+
+  const downloadUrl = resolveDownloadUrl({ ...release, fileName: assetName }, installConfig.mirrorUrl);
+  const assetPath = path.join(tempDir, assetName);
+  logger.debug(`Downloading ${assetName} from: ${downloadUrl}`);
+  execSync(`curl -fsSL -o "${assetPath}" "${downloadUrl}"`, { stdio: 'inherit' });
+  return assetPath;
+}
+
+/**
+ * Verify the cosign signature of the release checksums file
+ */
+function verifySignature(release, checksumsPath, installConfig, tempDir, logger) {
+  if (!release.signature) {
+    logger.warning(`${release.tool} ${release.version} does not publish signed checksums, skipping signature verification`);
+    return false;
+  }
+
+  const signaturePath = fetchReleaseAsset(release, `${release.checksumsFile}.sig`, installConfig, tempDir, logger);
+  const certificatePath = fetchReleaseAsset(release, `${release.checksumsFile}.pem`, installConfig, tempDir, logger);
+  if (!signaturePath || !certificatePath) {
+    throw new Error(`Signature or certificate for ${release.checksumsFile} is not available`);
+  }
+
+  try {
+    execSync([
+      'cosign', 'verify-blob',
+      '--certificate', `"${certificatePath}"`,
+      '--signature', `"${signaturePath}"`,
+      '--certificate-identity-regexp', `"${release.signature.identity}"`,
+      '--certificate-oidc-issuer', `"${release.signature.issuer}"`,
+      `"${checksumsPath}"`
+    ].join(' '), { stdio: 'inherit' });
+  } catch (error) {
+    throw new Error(`Signature verification of ${release.checksumsFile} failed: ${error.message}`);
+  }
+
+  logger.info(`🔏 Signature of ${release.checksumsFile} verified with cosign`);
+  return true;
+}
+
+/**
+ * Determine the SHA-256 digest the release archive must match
+ *
+ * A digest pinned through the installer configuration wins; otherwise the digest is
+ * taken from the checksums file published with the release.
+ */
+function resolveExpectedChecksum(release, installConfig, tempDir, logger) {
+  const pinned = installConfig.checksums[release.tool];
+  if (pinned) {
+    return { sha256: pinned.trim().toLowerCase(), origin: 'pinned' };
+  }
+
+  if (!release.checksumsFile) {
+    return null;
+  }
+
+  let checksumsPath;
+  try {
+    checksumsPath = fetchReleaseAsset(release, release.checksumsFile, installConfig, tempDir, logger);
+  } catch (error) {
+    logger.warning(`Failed to fetch ${release.checksumsFile}: ${error.message}`);
+    return null;
+  }
+  if (!checksumsPath) {
+    return null;
+  }
+
+  if (installConfig.verifySignatures) {
+    verifySignature(release, checksumsPath, installConfig, tempDir, logger);
+  }
+
+  const sha256 = parseChecksums(fs.readFileSync(checksumsPath, 'utf8'))[release.fileName];
+  return sha256 ? { sha256, origin: release.checksumsFile } : null;
+}
+
+/**
+ * Get the versioned cache directory of a tool
+ */
+function getToolCacheDir(installConfig, tool, version) {
+  return path.join(installConfig.cacheDir, `${tool}-${version}`);
+}
+
+/**
+ * Install a binary shipped as a GitHub release archive
+ *
+ * Sources are tried in order: an explicit local binary, a binary cached by a previous
+ * run, an archive in the local archive directory, then a download from the mirror or
+ * GitHub (never attempted in offline mode). Archives are verified against their SHA-256
+ * checksum before extraction.
+ */
+async function installReleaseBinary(release, installConfig, logger) {
+  const { tool, version, fileName, binaryName, installedName } = release;
+  const localBinary = installConfig.binaries[tool];
+  const expectedChecksum = installConfig.checksums[tool];
+
+  if (localBinary) {
+    if (!fs.existsSync(localBinary)) {
+      throw new Error(`Configured ${tool} binary does not exist: ${localBinary}`);
+    }
+    const digest = verifyChecksum(localBinary, expectedChecksum);
+    if (!expectedChecksum) {
+      logger.warning(`No checksum configured for local ${tool} binary, it was not verified`);
+    }
+    logger.info(`📌 Using local ${tool} binary: ${localBinary}`);
+    return { binaryPath: localBinary, source: 'local-binary', sha256: digest, verified: Boolean(expectedChecksum) };
+  }
+
+  const toolCacheDir = getToolCacheDir(installConfig, tool, version);
+  const cachedBinary = path.join(toolCacheDir, installedName);
+  const metadataFile = `${cachedBinary}.json`;
+
+  if (fs.existsSync(cachedBinary) && fs.existsSync(metadataFile)) {
+    const cached = JSON.parse(fs.readFileSync(metadataFile, 'utf8'));
+    const pinnedMatches = !expectedChecksum || cached.sha256 === expectedChecksum.trim().toLowerCase();
+    const binaryIntact = sha256File(cachedBinary) === cached.binarySha256;
+    const verifiedEnough = cached.verified || !installConfig.verifyChecksums;
+
+    if (pinnedMatches && binaryIntact && verifiedEnough) {
+      logger.info(`♻️  Reusing cached ${tool} ${version}: ${cachedBinary}`);
+      addToPath(toolCacheDir);
+      return { binaryPath: cachedBinary, source: 'cache', sha256: cached.sha256, verified: cached.verified };
+    }
+    logger.warning(binaryIntact
+      ? `Cached ${tool} does not match the required checksum, reinstalling`
+      : `Cached ${tool} binary was modified after installation, reinstalling`);
+  }
+
+  const tempDir = path.join(os.tmpdir(), `${tool}-install-${Date.now()}`);
+  fs.mkdirSync(tempDir, { recursive: true });
+
+  try {
+    let archivePath;
+    let source;
+    const localArchive = installConfig.archiveDir ? path.join(installConfig.archiveDir, fileName) : null;
+
+    if (localArchive && fs.existsSync(localArchive)) {
+      logger.info(`📂 Using local ${tool} archive: ${localArchive}`);
+      archivePath = localArchive;
+      source = 'local-archive';
+    } else if (installConfig.offline) {
+      throw new Error(`${tool} ${version} is not cached and ${fileName} was not found ` +
+        `in ${installConfig.archiveDir || 'the archive directory (not configured)'}; cannot download in offline mode`);
+    } else {
+      const downloadUrl = resolveDownloadUrl(release, installConfig.mirrorUrl);
+      logger.info(`📥 Downloading ${tool} from: ${downloadUrl}`);
+      archivePath = path.join(tempDir, fileName);
+      execSync(`curl -fsSL -o "${archivePath}" "${downloadUrl}"`, { stdio: 'inherit' });
+      source = installConfig.mirrorUrl ? 'mirror' : 'download';
+    }
+
+    const expected = installConfig.verifyChecksums
+      ? resolveExpectedChecksum(release, installConfig, tempDir, logger)
+      : null;
+
+    if (installConfig.verifyChecksums && !expected) {
+      throw new Error(`No SHA-256 checksum available for ${fileName}; refusing to install an unverified binary ` +
+        `(pin one with the ${tool}-sha256 input or disable verify-checksums)`);
+    }
+    if (!installConfig.verifyChecksums) {
+      logger.warning(`Checksum verification disabled, ${fileName} was not verified`);
+    }
+
+    const digest = verifyChecksum(archivePath, expected ? expected.sha256 : null);
+    if (expected) {
+      logger.info(`🔏 Verified ${fileName} sha256:${digest} (${expected.origin})`);
+    }
+
+    logger.info('📦 Extracting archive...');
+    const extractDir = path.join(tempDir, 'extracted');
+    fs.mkdirSync(extractDir, { recursive: true });
+    if (fileName.endsWith('.zip')) {
+      execSync(`unzip -q "${archivePath}" -d "${extractDir}"`, { stdio: 'inherit' });
+    } else {
+      execSync(`tar -xzf "${archivePath}" -C "${extractDir}"`, { stdio: 'inherit' });
+    }
+
+    const extractedBinary = path.join(extractDir, binaryName);
+    if (!fs.existsSync(extractedBinary)) {
+      throw new Error(`${tool} binary not found at ${extractedBinary}`);
+    }
+
+    fs.mkdirSync(toolCacheDir, { recursive: true });
+    fs.copyFileSync(extractedBinary, cachedBinary);
+    if (os.platform() !== 'win32') {
+      fs.chmodSync(cachedBinary, '755');
+    }
+    fs.writeFileSync(metadataFile, JSON.stringify({
+      sha256: digest,
+      binarySha256: sha256File(cachedBinary),
+      verified: Boolean(expected)
+    }, null, 2));
+
+    addToPath(toolCacheDir);
+    return { binaryPath: cachedBinary, source, sha256: digest, verified: Boolean(expected) };
+  } finally {
+    try {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    } catch (cleanupError) {
+      logger.debug(`Failed to cleanup temp directory: ${cleanupError.message}`);
+    }
+  }
+}
+
+function addToPath(dir) {
+  if (!(process.env.PATH || '').split(path.delimiter).includes(dir)) {
+    process.env.PATH = `${dir}${path.delimiter}${process.env.PATH}`;
+  }
+}
+
+module.exports = {
+  getDefaultInstallConfig,
+  sha256File,
+  verifyChecksum,
+  parseChecksums,
+  resolveDownloadUrl,
+  getToolCacheDir,
+  installReleaseBinary
+};
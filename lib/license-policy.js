@@ -0,0 +1,168 @@
+// Policy decisions from least to most restrictive
+const DECISIONS = ['allow', 'review', 'deny'];
+
+const TOKEN_PATTERN = /\s*(\(|\)|[A-Za-z0-9.+:-]+)/y;
+
+/**
+ * Parse an SPDX license expression such as `(MIT OR Apache-2.0) AND GPL-2.0-only WITH Classpath-exception-2.0`
+ *
+ * Operators are case-insensitive; WITH binds tighter than AND, which binds tighter than OR.
+ */
+function parseExpression(expression) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  const text = String(expression || '').trim();
+  while (TOKEN_PATTERN.lastIndex < text.length) {
+    const match = TOKEN_PATTERN.exec(text);
+    if (!match) {
+      throw new Error(`Unexpected character in license expression "${expression}" at position ${TOKEN_PATTERN.lastIndex}`);
+    }
+    tokens.push(match[1]);
+  }
+  if (tokens.length === 0) {
+    throw new Error('Empty license expression');
+  }
+
+  let position = 0;
+  const peek = () => (tokens[position] || '').toUpperCase();
+  const next = () => tokens[position++];
+
+  const parseLicense = () => {
+    if (peek() === '(') {
+      next();
+      const inner = parseOr();
+      if (next() !== ')') {
+        throw new Error(`Missing closing parenthesis in license expression "${expression}"`);
+      }
+      return inner;
+    }
+
+    const id = next();
+    if (!id || ['AND', 'OR', 'WITH', ')'].includes(id.toUpperCase())) {
+      throw new Error(`Expected a license in "${expression}" but found "${id || 'end of input'}"`);
+    }
+    if (peek() === 'WITH') {
+      next();
+      const exception = next();
+      if (!exception || exception === '(' || exception === ')') {
+        throw new Error(`Expected a license exception after WITH in "${expression}"`);
+      }
+      return { type: 'license', id, exception };
+    }
+    return { type: 'license', id };
+  };
+
+  const parseAnd = () => {
+    const terms = [parseLicense()];
+    while (peek() === 'AND') {
+      next();
+      terms.push(parseLicense());
+    }
+    return terms.length === 1 ? terms[0] : { type: 'and', terms };
+  };
+
+  const parseOr = () => {
+    const terms = [parseAnd()];
+    while (peek() === 'OR') {
+      next();
+      terms.push(parseAnd());
+    }
+    return terms.length === 1 ? terms[0] : { type: 'or', terms };
+  };
+
+  const tree = parseOr();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${tokens[position]}" in license expression "${expression}"`);
+  }
+  return tree;
+}
+
+/**
+ * Convert a license pattern (`GPL-*`, `*-only`) to a case-insensitive regular expression
+ */
+function patternToRegExp(pattern) {
+  const escaped = pattern.trim().replace(/[.+^${}()|[\]\\?]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+function parsePatterns(list) {
+  const items = Array.isArray(list) ? list : String(list || '').split(',');
+  return items
+    .map(item => String(item).trim())
+    .filter(Boolean)
+    .map(item => ({ regExp: patternToRegExp(item), withException: /\sWITH\s/i.test(item) }));
+}
+
+/**
+ * Create a license policy from allow, deny and review lists of license patterns
+ *
+ * A license is denied when it matches the deny list, needs review when it matches the review
+ * list and is allowed when it matches the allow list. Licenses on no list are allowed unless an
+ * allow list is configured, in which case they are denied.
+ */
+function createLicensePolicy({ allow, deny, review } = {}) {
+  const lists = {
+    allow: parsePatterns(allow),
+    deny: parsePatterns(deny),
+    review: parsePatterns(review)
+  };
+
+  // Patterns naming an exception only apply to `X WITH exception`, other patterns to plain licenses
+  const listDecision = (license, withException = false) => {
+    const matches = pattern => pattern.withException === withException && pattern.regExp.test(license);
+    if (lists.deny.some(matches)) return 'deny';
+    if (lists.review.some(matches)) return 'review';
+    if (lists.allow.some(matches)) return 'allow';
+    return null;
+  };
+
+  const decideLicense = node => {
+    // `X WITH exception` can be listed on its own, otherwise the base license decides
+    if (node.exception) {
+      const decision = listDecision(`${node.id} WITH ${node.exception}`, true);
+      if (decision) {
+        return decision;
+      }
+    }
+    return listDecision(node.id) || (lists.allow.length > 0 ? 'deny' : 'allow');
+  };
+
+  const decide = node => {
+    if (node.type === 'license') {
+      return decideLicense(node);
+    }
+    const decisions = node.terms.map(decide).map(decision => DECISIONS.indexOf(decision));
+    // OR lets us pick the most permissive alternative; AND requires every license
+    const index = node.type === 'or' ? Math.min(...decisions) : Math.max(...decisions);
+    return DECISIONS[index];
+  };
+
+  return {
+    /**
+     * Evaluate an SPDX expression, resolving to 'allow', 'review' or 'deny'
+     */
+    evaluate(expression) {
+      return decide(parseExpression(expression));
+    },
+
+    /**
+     * Evaluate a single license identifier or free-text license name without parsing it
+     */
+    evaluateLicense(license) {
+      return decideLicense({ type: 'license', id: license });
+    }
+  };
+}
+
+/**
+ * The more restrictive of two decisions
+ */
+function strictestDecision(a, b) {
+  return DECISIONS[Math.max(DECISIONS.indexOf(a), DECISIONS.indexOf(b))];
+}
+
+module.exports = {
+  parseExpression,
+  strictestDecision,
+  createLicensePolicy
+};
@@ -0,0 +1,156 @@
+const https = require('https');
+const http = require('http');
+
+const DEFAULT_BASE_URL = 'https://dev.neoTrak.io';
+
+// Responses worth retrying: rate limiting and server-side failures
+const RETRYABLE_STATUS = status => status === 429 || status >= 500;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * NeoTrak platform API client built on Node's http(s) modules
+ *
+ * Requests time out after `timeoutMs` and are retried with exponential backoff on network
+ * errors, timeouts, 429 and 5xx responses. No single wait, including one asked for by
+ * Retry-After, exceeds `maxRetryDelayMs`.
+ */
+class NeoTrakClient {
+  constructor({
+    baseUrl = DEFAULT_BASE_URL,
+    apiKey,
+    secretKey,
+    tenantKey,
+    timeoutMs = 60000,
+    retries = 3,
+    retryDelayMs = 1000,
+    maxRetryDelayMs = 30000
+  } = {}) {
+    this.baseUrl = (baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.secretKey = secretKey;
+    this.tenantKey = tenantKey;
+    this.timeoutMs = timeoutMs;
+    this.retries = retries;
+    this.retryDelayMs = retryDelayMs;
+    this.maxRetryDelayMs = maxRetryDelayMs;
+  }
+
+  /**
+   * Send a request, retrying transient failures, and resolve with the status and parsed body
+   *
+   * A 2xx response whose JSON body cannot be parsed still counts as delivered: it resolves
+   * with the raw body in `data` and the reason in `parseError`.
+   */
+  async request(method, apiPath, body) {
+    let attempt = 0;
+    for (;;) {
+      try {
+        return await this.send(method, apiPath, body);
+      } catch (error) {
+        const retryable = error.statusCode === undefined || RETRYABLE_STATUS(error.statusCode);
+        if (!retryable || attempt >= this.retries) {
+          throw error;
+        }
+        // Honour Retry-After (seconds) when the server asks us to slow down
+        const delay = Math.min(error.retryAfter !== undefined
+          ? error.retryAfter * 1000
+          : this.retryDelayMs * (2 ** attempt), this.maxRetryDelayMs);
+        attempt++;
+        await sleep(delay);
+      }
+    }
+  }
+
+  send(method, apiPath, body) {
+    const url = new URL(`${this.baseUrl}${apiPath}`);
+    const protocol = url.protocol === 'https:' ? https : http;
+    const postData = body === undefined ? null : JSON.stringify(body);
+
+    const headers = { Accept: 'application/json' };
+    if (this.apiKey) headers['x-api-key'] = this.apiKey;
+    if (this.secretKey) headers['x-secret-key'] = this.secretKey;
+    if (this.tenantKey) headers['x-tenant-key'] = this.tenantKey;
+    if (postData !== null) {
+      headers['Content-Type'] = 'application/json';
+      headers['Content-Length'] = Buffer.byteLength(postData);
+    }
+
+    const options = {
+      hostname: url.hostname,
+      port: url.port,
+      path: `${url.pathname}${url.search}`,
+      method,
+      headers,
+      timeout: this.timeoutMs
+    };
+
+    return new Promise((resolve, reject) => {
+      const req = protocol.request(options, (res) => {
+        let data = '';
+        res.on('data', chunk => data += chunk);
+        res.on('end', () => {
+          if (res.statusCode < 200 || res.statusCode >= 300) {
+            const error = new Error(`NeoTrak API returned ${res.statusCode}: ${data}`);
+            error.statusCode = res.statusCode;
+            const retryAfter = parseInt(res.headers['retry-after'], 10);
+            if (!Number.isNaN(retryAfter)) {
+              error.retryAfter = retryAfter;
+            }
+            reject(error);
+            return;
+          }
+
+          // The request has been accepted, so a malformed body must not send it again
+          if (data && (res.headers['content-type'] || '').includes('json')) {
+            try {
+              resolve({ statusCode: res.statusCode, data: JSON.parse(data) });
+            } catch (parseError) {
+              resolve({ statusCode: res.statusCode, data, parseError: `Invalid JSON from NeoTrak API: ${parseError.message}` });
+            }
+            return;
+          }
+          resolve({ statusCode: res.statusCode, data });
+        });
+      });
+
+      req.on('timeout', () => req.destroy(new Error(`NeoTrak API request timed out after ${this.timeoutMs}ms`)));
+      req.on('error', reject);
+      if (postData !== null) {
+        req.write(postData);
+      }
+      req.end();
+    });
+  }
+
+  projectPath(action, projectId) {
+    return `/open-pulse/project/${action}/${encodeURIComponent(projectId)}`;
+  }
+
+  /**
+   * Upload secrets found by the secret detector
+   */
+  uploadSecrets(projectId, secrets) {
+    return this.request('POST', this.projectPath('update-secrets', projectId), secrets);
+  }
+
+  /**
+   * Upload vulnerability, misconfiguration and license findings
+   */
+  uploadVulnerabilities(projectId, findings) {
+    return this.request('POST', this.projectPath('update-vulnerabilities', projectId), findings);
+  }
+
+  /**
+   * Upload a CycloneDX SBOM
+   */
+  uploadSbom(projectId, bom) {
+    return this.request('POST', this.projectPath('upload-sbom', projectId), bom);
+  }
+}
+
+NeoTrakClient.DEFAULT_BASE_URL = DEFAULT_BASE_URL;
+
+module.exports = NeoTrakClient;
@@ -0,0 +1,185 @@
+const { SEVERITIES } = require('./findings');
+
+const METRICS = ['total', ...SEVERITIES];
+
+const OPERATORS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b
+};
+
+const TOKEN_PATTERN = /\s*(\|\||&&|>=|<=|==|!=|>|<|\(|\)|[A-Za-z_][\w-]*(?:\.[A-Za-z_][\w-]*)?|\d+)/y;
+
+/**
+ * Evaluates `fail-on` policy expressions such as `critical>0 || high>5 || secrets.total>0`
+ * against aggregated and per-scanner finding counts.
+ */
+class PolicyEvaluator {
+  /**
+   * Parse a policy expression into an expression tree
+   */
+  parse(expression) {
+    const tokens = this.tokenize(expression);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+
+    const parseComparison = () => {
+      if (peek() === '(') {
+        next();
+        const inner = parseOr();
+        if (next() !== ')') {
+          throw new Error(`Missing closing parenthesis in policy: ${expression}`);
+        }
+        return inner;
+      }
+
+      const reference = next();
+      const operator = next();
+      const value = next();
+
+      if (!reference || !/^[A-Za-z_]/.test(reference)) {
+        throw new Error(`Expected a metric in policy "${expression}" but found "${reference || 'end of input'}"`);
+      }
+      if (!OPERATORS[operator]) {
+        throw new Error(`Expected a comparison operator after "${reference}" in policy "${expression}"`);
+      }
+      if (!/^\d+$/.test(value || '')) {
+        throw new Error(`Expected a number after "${reference}${operator}" in policy "${expression}"`);
+      }
+
+      const [scanner, metric] = reference.includes('.') ? reference.split('.') : [null, reference];
+      if (!METRICS.includes(metric.toLowerCase())) {
+        throw new Error(`Unknown metric "${metric}" in policy "${expression}" (expected one of ${METRICS.join(', ')})`);
+      }
+
+      return {
+        type: 'comparison',
+        scanner,
+        metric: metric.toLowerCase(),
+        operator,
+        value: parseInt(value, 10),
+        text: `${reference}${operator}${value}`
+      };
+    };
+
+    const parseAnd = () => {
+      const terms = [parseComparison()];
+      while (peek() === '&&') {
+        next();
+        terms.push(parseComparison());
+      }
+      return terms.length === 1 ? terms[0] : { type: 'and', terms };
+    };
+
+    const parseOr = () => {
+      const terms = [parseAnd()];
+      while (peek() === '||') {
+        next();
+        terms.push(parseAnd());
+      }
+      return terms.length === 1 ? terms[0] : { type: 'or', terms };
+    };
+
+    const tree = parseOr();
+    if (position < tokens.length) {
+      throw new Error(`Unexpected "${peek()}" in policy "${expression}"`);
+    }
+    return tree;
+  }
+
+  tokenize(expression) {
+    const tokens = [];
+    TOKEN_PATTERN.lastIndex = 0;
+
+    const source = expression.trim();
+    while (TOKEN_PATTERN.lastIndex < source.length) {
+      const start = TOKEN_PATTERN.lastIndex;
+      const match = TOKEN_PATTERN.exec(source);
+      if (!match) {
+        throw new Error(`Invalid policy syntax near "${source.substring(start)}"`);
+      }
+      tokens.push(match[1]);
+    }
+
+    if (tokens.length === 0) {
+      throw new Error('Policy expression is empty');
+    }
+    return tokens;
+  }
+
+  /**
+   * Parse a policy expression and check it only names the given scanner ids
+   *
+   * Returns the expression tree, which `evaluate` accepts in place of the expression.
+   */
+  validate(expression, scannerIds) {
+    const tree = this.parse(expression);
+    this.checkScanners(tree, scannerIds, expression);
+    return tree;
+  }
+
+  /**
+   * Evaluate a policy expression, or a tree returned by `validate`
+   *
+   * The context holds aggregated counts plus a `scanners` map of per-scanner counts keyed by scanner id.
+   * Returns whether the policy tripped and the comparisons that made it trip.
+   */
+  evaluate(expression, context) {
+    const tree = typeof expression === 'string'
+      ? this.validate(expression, Object.keys(context.scanners || {}))
+      : expression;
+    const reasons = [];
+    const failed = this.evaluateNode(tree, context, reasons);
+    return { failed, reasons: failed ? reasons : [] };
+  }
+
+  /**
+   * Reject scanner prefixes that name no selected scanner, which would otherwise never trip
+   */
+  checkScanners(node, scannerIds, expression) {
+    if (node.type !== 'comparison') {
+      node.terms.forEach(term => this.checkScanners(term, scannerIds, expression));
+      return;
+    }
+    if (node.scanner && !scannerIds.includes(node.scanner)) {
+      throw new Error(`Unknown scanner "${node.scanner}" in policy "${expression}" ` +
+        `(expected one of ${scannerIds.join(', ') || 'no selected scanners'})`);
+    }
+  }
+
+  evaluateNode(node, context, reasons) {
+    if (node.type === 'or') {
+      let matched = false;
+      node.terms.forEach(term => {
+        if (this.evaluateNode(term, context, reasons)) {
+          matched = true;
+        }
+      });
+      return matched;
+    }
+
+    if (node.type === 'and') {
+      const termReasons = [];
+      const matched = node.terms.every(term => this.evaluateNode(term, context, termReasons));
+      if (matched) {
+        reasons.push(termReasons.join(' && '));
+      }
+      return matched;
+    }
+
+    const counts = node.scanner ? (context.scanners || {})[node.scanner] : context;
+    const actual = counts ? counts[node.metric] || 0 : 0;
+    const matched = OPERATORS[node.operator](actual, node.value);
+    if (matched) {
+      reasons.push(`${node.text} (actual: ${actual})`);
+    }
+    return matched;
+  }
+}
+
+module.exports = new PolicyEvaluator();
@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+
+// Modes selectable through the `secret-redaction` input
+const REDACTION_MODES = ['full', 'partial', 'hash'];
+const DEFAULT_REDACTION_MODE = 'partial';
+
+const FULL_MASK = '[REDACTED]';
+
+// Secret values seen during this run, masked in every log line
+const knownSecrets = new Set();
+
+/**
+ * Mask a secret value so only a short prefix stays readable
+ */
+function maskSecret(value) {
+  if (!value) {
+    return '';
+  }
+  const visible = value.length > 12 ? 4 : 0;
+  return `${value.substring(0, visible)}${'*'.repeat(Math.min(Math.max(value.length - visible, 8), 20))}`;
+}
+
+/**
+ * Redact a secret value
+ *
+ * - `full`: replaced by a fixed marker, revealing nothing about the value
+ * - `partial`: a short prefix (and suffix for long values) stays readable
+ * - `hash`: a truncated SHA-256, so the same secret can be recognised across reports
+ */
+function redactSecret(value, mode = DEFAULT_REDACTION_MODE) {
+  if (!value) {
+    return '';
+  }
+  if (mode === 'full') {
+    return FULL_MASK;
+  }
+  if (mode === 'hash') {
+    return `sha256:${crypto.createHash('sha256').update(value).digest('hex').substring(0, 16)}`;
+  }
+  const suffix = value.length >= 24 ? value.substring(value.length - 4) : '';
+  return `${maskSecret(value.substring(0, value.length - suffix.length))}${suffix}`;
+}
+
+// An assigned value (`key = "value"`, `key: value`) long enough to be a secret
+const ASSIGNED_VALUE = /[=:]\s*["'`]?([^\s"'`,;)}\]]{6,})/;
+
+/**
+ * Find a value assigned in the match that the secret does not cover
+ *
+ * Gitleaks reports a rule's first capture group as the secret, which can be a keyword such
+ * as `password` rather than the value. Returns the leftover value or null.
+ */
+function findUncoveredValue(match, secret) {
+  if (!match) {
+    return null;
+  }
+  const rest = secret ? match.split(secret).join('') : match;
+  const assigned = ASSIGNED_VALUE.exec(rest);
+  return assigned ? assigned[1] : null;
+}
+
+/**
+ * Redact the secret inside the line that matched it, keeping the surrounding context
+ *
+ * The whole match is redacted when the secret cannot be found in it or does not cover the
+ * value assigned in it. A partial mask would show the ends of the line, which may be part of
+ * the value, so the fixed marker is used instead.
+ */
+function redactMatch(match, secret, mode = DEFAULT_REDACTION_MODE) {
+  if (!match) {
+    return '';
+  }
+  if (!secret || !match.includes(secret) || findUncoveredValue(match, secret)) {
+    return redactSecret(match, mode === 'partial' ? 'full' : mode);
+  }
+  return match.split(secret).join(redactSecret(secret, mode));
+}
+
+/**
+ * Remember a secret value so it is masked wherever it shows up in logs
+ */
+function registerSecret(value) {
+  // Very short values would mask unrelated text
+  if (value && value.length >= 6) {
+    knownSecrets.add(value);
+  }
+}
+
+/**
+ * Mask every registered secret in a piece of text
+ */
+function redactText(text) {
+  if (knownSecrets.size === 0 || typeof text !== 'string') {
+    return text;
+  }
+  let redacted = text;
+  knownSecrets.forEach(secret => {
+    redacted = redacted.split(secret).join(FULL_MASK);
+  });
+  return redacted;
+}
+
+/**
+ * Normalise the `secret-redaction` input, rejecting unknown modes
+ */
+function parseRedactionMode(value) {
+  const mode = String(value || DEFAULT_REDACTION_MODE).trim().toLowerCase();
+  if (!REDACTION_MODES.includes(mode)) {
+    throw new Error(`Unknown secret-redaction mode "${value}" (expected ${REDACTION_MODES.join(', ')})`);
+  }
+  return mode;
+}
+
+module.exports = {
+  REDACTION_MODES,
+  maskSecret,
+  redactSecret,
+  redactMatch,
+  findUncoveredValue,
+  registerSecret,
+  redactText,
+  parseRedactionMode
+};
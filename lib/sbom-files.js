@@ -0,0 +1,155 @@
+const fs = require('fs');
+const { validateBom } = require('./cyclonedx');
+
+/**
+ * Parse an SPDX tag-value document into the shape of an SPDX JSON document
+ *
+ * Only the fields needed to validate the document and read its packages are kept.
+ */
+function parseSpdxTagValue(text) {
+  const document = { packages: [] };
+  let current = document;
+  // Multi-line values are wrapped in <text>...</text>
+  const pattern = /^([A-Za-z]+):\s*(<text>[\s\S]*?<\/text>|.*)$/gm;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const [, tag, rawValue] = match;
+    const value = rawValue.replace(/^<text>|<\/text>$/g, '').trim();
+    switch (tag) {
+      case 'SPDXVersion':
+        document.spdxVersion = value;
+        break;
+      case 'DataLicense':
+        document.dataLicense = value;
+        break;
+      case 'DocumentName':
+        document.name = value;
+        break;
+      case 'PackageName':
+        current = { name: value, externalRefs: [] };
+        document.packages.push(current);
+        break;
+      case 'SPDXID':
+        current.SPDXID = value;
+        break;
+      case 'PackageVersion':
+        current.versionInfo = value;
+        break;
+      case 'PackageLicenseDeclared':
+        current.licenseDeclared = value;
+        break;
+      case 'PackageLicenseConcluded':
+        current.licenseConcluded = value;
+        break;
+      case 'FileName':
+      case 'SnippetSPDXID':
+      case 'LicenseID':
+        // Files, snippets and licenses are not read, but their tags must not end up on a package
+        current = {};
+        break;
+      case 'ExternalRef': {
+        const [referenceCategory, referenceType, referenceLocator] = value.split(/\s+/);
+        (current.externalRefs || []).push({ referenceCategory, referenceType, referenceLocator });
+        break;
+      }
+    }
+  }
+  return document;
+}
+
+/**
+ * Check the parts of an SPDX 2.x document that consumers rely on
+ */
+function validateSpdx(document) {
+  const errors = [];
+  if (!/^SPDX-2\.[0-3]$/.test(document.spdxVersion || '')) {
+    errors.push(`unsupported spdxVersion ${JSON.stringify(document.spdxVersion)} (expected SPDX-2.0 to SPDX-2.3)`);
+  }
+  if (document.dataLicense !== 'CC0-1.0') {
+    errors.push(`dataLicense must be CC0-1.0, got ${JSON.stringify(document.dataLicense)}`);
+  }
+  if (document.SPDXID !== 'SPDXRef-DOCUMENT') {
+    errors.push(`document SPDXID must be SPDXRef-DOCUMENT, got ${JSON.stringify(document.SPDXID)}`);
+  }
+  if (!Array.isArray(document.packages)) {
+    errors.push('packages must be an array');
+    return errors;
+  }
+
+  const ids = new Set();
+  document.packages.forEach((spdxPackage, index) => {
+    const label = `package #${index + 1} (${spdxPackage && spdxPackage.name})`;
+    if (!spdxPackage || typeof spdxPackage.name !== 'string' || !spdxPackage.name) {
+      errors.push(`package #${index + 1} has no name`);
+      return;
+    }
+    if (!/^SPDXRef-[A-Za-z0-9.-]+$/.test(spdxPackage.SPDXID || '')) {
+      errors.push(`${label} has an invalid SPDXID ${JSON.stringify(spdxPackage.SPDXID)}`);
+    } else if (ids.has(spdxPackage.SPDXID)) {
+      errors.push(`${label} reuses SPDXID ${spdxPackage.SPDXID}`);
+    }
+    ids.add(spdxPackage.SPDXID);
+  });
+  return errors;
+}
+
+/**
+ * Load and validate an existing CycloneDX (JSON) or SPDX (JSON or tag-value) SBOM
+ *
+ * Returns `{ path, format, document }` where SPDX tag-value documents are converted to
+ * the SPDX JSON shape; throws listing the problems when the file is not a valid SBOM.
+ */
+function loadSbomFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`SBOM file does not exist: ${filePath}`);
+  }
+  const text = fs.readFileSync(filePath, 'utf8');
+
+  let format;
+  let document;
+  if (/^\s*[{[]/.test(text)) {
+    try {
+      document = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`SBOM file ${filePath} is not valid JSON: ${error.message}`);
+    }
+    format = document && document.spdxVersion ? 'spdx' : 'cyclonedx';
+  } else if (/^SPDXVersion:/m.test(text)) {
+    format = 'spdx';
+    document = parseSpdxTagValue(text);
+  } else {
+    throw new Error(`${filePath} is neither a CycloneDX JSON nor an SPDX document`);
+  }
+
+  const errors = format === 'cyclonedx' ? validateBom(document) : validateSpdx(document);
+  if (errors.length > 0) {
+    throw new Error(`${filePath} is not a valid ${format === 'cyclonedx' ? 'CycloneDX' : 'SPDX'} SBOM: ` +
+      errors.slice(0, 5).join('; ') + (errors.length > 5 ? `; and ${errors.length - 5} more` : ''));
+  }
+
+  return { path: filePath, format, document };
+}
+
+/**
+ * Convert SPDX packages to CycloneDX-style components (name, version, purl, licenses)
+ */
+function spdxPackagesToComponents(document) {
+  return (document.packages || []).map(spdxPackage => {
+    const purlRef = (spdxPackage.externalRefs || []).find(ref => ref.referenceType === 'purl');
+    const license = [spdxPackage.licenseConcluded, spdxPackage.licenseDeclared]
+      .find(value => value && value !== 'NOASSERTION' && value !== 'NONE');
+    return {
+      name: spdxPackage.name,
+      version: spdxPackage.versionInfo,
+      purl: purlRef ? purlRef.referenceLocator : undefined,
+      licenses: license ? [{ expression: license }] : []
+    };
+  });
+}
+
+module.exports = {
+  loadSbomFile,
+  parseSpdxTagValue,
+  validateSpdx,
+  spdxPackagesToComponents
+};
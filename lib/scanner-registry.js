@@ -0,0 +1,117 @@
+const path = require('path');
+
+const COUNT_FIELDS = ['total', 'critical', 'high', 'medium', 'low'];
+
+/**
+ * Keeps the scanners available to the orchestrator and enforces the scanner contract
+ * documented in scanners/base-scanner.js
+ */
+class ScannerRegistry {
+  constructor() {
+    this.scanners = new Map();
+  }
+
+  /**
+   * Add a scanner after checking it implements the contract
+   */
+  register(scanner) {
+    this.validateScanner(scanner);
+    if (this.scanners.has(scanner.id)) {
+      throw new Error(`A scanner with id "${scanner.id}" is already registered`);
+    }
+    this.scanners.set(scanner.id, scanner);
+    return scanner;
+  }
+
+  get(id) {
+    return this.scanners.get(id) || null;
+  }
+
+  ids() {
+    return [...this.scanners.keys()];
+  }
+
+  validateScanner(scanner) {
+    if (!scanner || typeof scanner !== 'object') {
+      throw new Error('Scanner module must export a scanner object, class or factory');
+    }
+    if (typeof scanner.id !== 'string' || !/^[a-z][a-z0-9_-]*$/.test(scanner.id)) {
+      throw new Error(`Scanner id must be a lowercase identifier, got: ${scanner.id}`);
+    }
+    if (typeof scanner.name !== 'string' || !scanner.name) {
+      throw new Error(`Scanner "${scanner.id}" has no name`);
+    }
+    ['install', 'scan'].forEach(method => {
+      if (typeof scanner[method] !== 'function') {
+        throw new Error(`Scanner "${scanner.id}" does not implement ${method}()`);
+      }
+    });
+  }
+
+  /**
+   * Check a scan result against the contract, throwing on the first violation
+   */
+  validateResult(scanner, result) {
+    if (!result || typeof result !== 'object' || Array.isArray(result)) {
+      throw new Error(`${scanner.name} returned ${Array.isArray(result) ? 'an array' : typeof result} instead of a result object`);
+    }
+
+    COUNT_FIELDS.forEach(field => {
+      const value = result[field];
+      if (!Number.isInteger(value) || value < 0) {
+        throw new Error(`${scanner.name} returned an invalid "${field}" count: ${value}`);
+      }
+    });
+
+    const severityTotal = result.critical + result.high + result.medium + result.low;
+    if (severityTotal > result.total) {
+      throw new Error(`${scanner.name} reported ${severityTotal} findings by severity but a total of ${result.total}`);
+    }
+
+    if (!Array.isArray(result.vulnerabilities)) {
+      throw new Error(`${scanner.name} returned no "vulnerabilities" array`);
+    }
+    result.vulnerabilities.forEach((finding, index) => {
+      if (!finding || typeof finding !== 'object') {
+        throw new Error(`${scanner.name} returned an invalid finding at index ${index}`);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Load scanner modules from a path (relative to the workspace) or an installed npm package
+   */
+  loadModule(spec, workspaceDir) {
+    // Use Node's require at runtime so bundlers leave external modules alone
+    const runtimeRequire = typeof __non_webpack_require__ === 'function'
+      ? __non_webpack_require__
+      : require;
+
+    const isPath = spec.startsWith('.') || path.isAbsolute(spec);
+    const modulePath = isPath
+      ? path.resolve(workspaceDir, spec)
+      : runtimeRequire.resolve(spec, { paths: [workspaceDir, __dirname] });
+
+    const exported = runtimeRequire(modulePath);
+    const candidates = Array.isArray(exported) ? exported : [exported && exported.default ? exported.default : exported];
+
+    return candidates.map(candidate => this.register(this.instantiate(candidate, spec)));
+  }
+
+  instantiate(candidate, spec) {
+    if (typeof candidate !== 'function') {
+      return candidate;
+    }
+    // Classes are constructed, plain functions are treated as factories
+    const isClass = /^class\s/.test(Function.prototype.toString.call(candidate));
+    const scanner = isClass ? new candidate() : candidate();
+    if (!scanner) {
+      throw new Error(`Scanner factory in ${spec} returned nothing`);
+    }
+    return scanner;
+  }
+}
+
+module.exports = ScannerRegistry;
@@ -0,0 +1,252 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { globToRegExp } = require('./suppressions');
+
+// Rules shipped with the scanner, used unless disabled by ID
+const BUILT_IN_RULES = [
+  {
+    id: 'spring-placeholder-with-secret',
+    description: 'Secret embedded as default value in Spring Boot property placeholder',
+    regex: String.raw`\$\{[A-Z0-9_]+:([A-Za-z0-9+/=_\-]{20,})\}`,
+    tags: ['secret', 'spring', 'placeholder', 'default-value']
+  },
+  {
+    id: 'spring-placeholder-api-key',
+    description: 'API key patterns in Spring Boot placeholders',
+    regex: String.raw`(?i)\$\{[A-Z0-9_]*(?:API|KEY|TOKEN|SECRET)[A-Z0-9_]*:([A-Za-z0-9_\-]{20,})\}`,
+    tags: ['apikey', 'spring', 'placeholder']
+  },
+  {
+    id: 'openai-groq-api-key',
+    description: 'OpenAI or Groq API Key',
+    regex: String.raw`(?:sk|gsk)_[A-Za-z0-9_\-]{20,}`,
+    tags: ['apikey', 'openai', 'groq']
+  },
+  {
+    id: 'strict-secret-detection',
+    description: 'Detect likely passwords or secrets with high entropy',
+    regex: String.raw`(?i)(password|passwd|pwd|secret|key|token|auth|access)[\s"']*[=:][\s"']*["']([A-Za-z0-9@#\-_$%!]{10,})["']`,
+    // Group 1 is the keyword, the value is group 2
+    secretGroup: 2,
+    tags: ['key', 'secret', 'generic', 'password']
+  },
+  {
+    id: 'aws-secret',
+    description: 'AWS Secret Access Key',
+    regex: String.raw`(?i)aws(?:.{0,20})?(?:secret|access)?(?:.{0,20})?['"]([0-9a-zA-Z/+]{40})['"]`,
+    secretGroup: 1,
+    tags: ['aws', 'key', 'secret']
+  },
+  {
+    id: 'aws-key',
+    description: 'AWS Access Key ID',
+    regex: String.raw`AKIA[0-9A-Z]{16}`,
+    tags: ['aws', 'key']
+  },
+  {
+    id: 'github-token',
+    description: 'GitHub Personal Access Token',
+    regex: String.raw`ghp_[A-Za-z0-9_]{36}`,
+    tags: ['github', 'token']
+  },
+  {
+    id: 'jwt',
+    description: 'JSON Web Token',
+    regex: String.raw`eyJ[A-Za-z0-9-_]+\.eyJ[A-Za-z0-9-_]+\.[A-Za-z0-9-_]+`,
+    tags: ['token', 'jwt']
+  },
+  {
+    id: 'firebase-api-key',
+    description: 'Firebase API Key',
+    regex: String.raw`AIza[0-9A-Za-z\-_]{35}`,
+    tags: ['firebase', 'apikey']
+  },
+  {
+    id: 'gitlab-token',
+    description: 'GitLab Personal Access Token',
+    regex: String.raw`glpat-[0-9a-zA-Z\-_]{20,}`,
+    tags: ['gitlab', 'token']
+  }
+];
+
+// Allowlist applied unless the config sets `allowlist.useDefault: false`
+const DEFAULT_ALLOWLIST = {
+  paths: ['**/node_modules/**', '**/package-lock.json', '**/yarn.lock', '**/pnpm-lock.yaml'],
+  regexes: [],
+  // Secrets that are entirely a placeholder such as ${DB_PASSWORD} or "$API_TOKEN" reference a
+  // secret rather than contain one
+  secretRegexes: [String.raw`^["']?\$\{?[A-Z0-9_]+\}?["']?$`],
+  stopwords: []
+};
+
+// Config files looked up in the scanned directory, in order
+const DEFAULT_CONFIG_FILES = ['.gitleaks.toml', '.ntu-secrets.yml', '.ntu-secrets.yaml'];
+
+function toList(value, label) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  if (!Array.isArray(value)) {
+    throw new Error(`${label} must be a list`);
+  }
+  return value.map(String);
+}
+
+/**
+ * Find a project's secret rules config: `configPath` when given, else the first default file present
+ */
+function findSecretRulesConfig(scanDir, configPath) {
+  if (configPath) {
+    const resolved = path.isAbsolute(configPath) ? configPath : path.resolve(scanDir, configPath);
+    if (!fs.existsSync(resolved)) {
+      throw new Error(`Secret rules config does not exist: ${resolved}`);
+    }
+    return resolved;
+  }
+  return DEFAULT_CONFIG_FILES
+    .map(file => path.join(scanDir, file))
+    .find(file => fs.existsSync(file)) || null;
+}
+
+/**
+ * Load a secret rules config
+ *
+ * A Gitleaks `.toml` file is handed to Gitleaks through `[extend]`, so its rules and allowlists
+ * keep Gitleaks semantics. A YAML file may contain:
+ *
+ *   rules: [{ id, description, regex, secretGroup, tags, keywords, path, entropy }]
+ *   disabledRules: [aws-key]
+ *   allowlist: { paths: [globs], regexes: [...], stopwords: [...], useDefault: true }
+ *
+ * A rule with the ID of a built-in rule replaces it.
+ */
+function loadSecretRulesConfig(filePath) {
+  if (/\.toml$/i.test(filePath)) {
+    return { path: filePath, extendPath: filePath, rules: [], disabledRules: [], allowlist: {} };
+  }
+
+  const data = yaml.load(fs.readFileSync(filePath, 'utf8')) || {};
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`${filePath} must be a mapping`);
+  }
+
+  const rules = (data.rules === undefined ? [] : data.rules);
+  if (!Array.isArray(rules)) {
+    throw new Error(`"rules" in ${filePath} must be a list`);
+  }
+
+  const allowlist = data.allowlist || {};
+  return {
+    path: filePath,
+    extendPath: null,
+    rules: rules.map((rule, index) => {
+      if (!rule || typeof rule !== 'object' || !rule.id || !rule.regex) {
+        throw new Error(`rule #${index + 1} in ${filePath} needs an id and a regex`);
+      }
+      return {
+        id: String(rule.id),
+        description: String(rule.description || rule.id),
+        regex: String(rule.regex),
+        secretGroup: rule.secretGroup !== undefined ? Number(rule.secretGroup) : undefined,
+        tags: toList(rule.tags, `tags of rule ${rule.id}`),
+        keywords: toList(rule.keywords, `keywords of rule ${rule.id}`),
+        path: rule.path ? String(rule.path) : undefined,
+        entropy: rule.entropy !== undefined ? Number(rule.entropy) : undefined
+      };
+    }),
+    disabledRules: toList(data.disabledRules, 'disabledRules'),
+    allowlist: {
+      paths: toList(allowlist.paths, 'allowlist.paths'),
+      regexes: toList(allowlist.regexes, 'allowlist.regexes'),
+      stopwords: toList(allowlist.stopwords, 'allowlist.stopwords'),
+      useDefault: allowlist.useDefault !== false
+    }
+  };
+}
+
+/**
+ * Merge the built-in rules with a project's rules, dropping disabled rule IDs
+ */
+function mergeRules(projectRules = [], disabledRules = []) {
+  const rules = new Map(BUILT_IN_RULES.map(rule => [rule.id, rule]));
+  projectRules.forEach(rule => rules.set(rule.id, rule));
+  disabledRules.forEach(id => rules.delete(id));
+  return [...rules.values()];
+}
+
+// JSON string escapes are valid TOML basic string escapes
+const tomlString = value => JSON.stringify(String(value));
+
+/**
+ * Render a Gitleaks config with the given rules, extending a project's Gitleaks config if any
+ */
+function buildGitleaksConfig(rules, extendPath) {
+  const sections = [];
+  if (extendPath) {
+    sections.push(`[extend]\npath = ${tomlString(extendPath)}`);
+  }
+  rules.forEach(rule => {
+    // Regexes are written as TOML literal strings, which cannot contain their own delimiter
+    if (rule.regex.includes("'''") || (rule.path || '').includes("'''")) {
+      throw new Error(`Secret rule ${rule.id} cannot contain ''' in its regex or path`);
+    }
+    const lines = [
+      '[[rules]]',
+      `id = ${tomlString(rule.id)}`,
+      `description = ${tomlString(rule.description)}`,
+      `regex = '''${rule.regex}'''`,
+      `tags = [${(rule.tags || []).map(tomlString).join(', ')}]`
+    ];
+    if (rule.keywords && rule.keywords.length > 0) {
+      lines.push(`keywords = [${rule.keywords.map(tomlString).join(', ')}]`);
+    }
+    if (rule.path) {
+      lines.push(`path = '''${rule.path}'''`);
+    }
+    if (Number.isInteger(rule.secretGroup)) {
+      lines.push(`secretGroup = ${rule.secretGroup}`);
+    }
+    if (Number.isFinite(rule.entropy)) {
+      lines.push(`entropy = ${rule.entropy}`);
+    }
+    sections.push(lines.join('\n'));
+  });
+  return `${sections.join('\n\n')}\n`;
+}
+
+/**
+ * Create a predicate telling whether a Gitleaks finding is allowlisted
+ *
+ * Paths are globs matched against the file, regexes are matched against the match and
+ * stopwords against the secret (case-insensitively). The default placeholder regexes are
+ * matched against the whole secret.
+ */
+function createAllowlist(allowlist = {}) {
+  const useDefault = allowlist.useDefault !== false;
+  const combine = key => [...(useDefault ? DEFAULT_ALLOWLIST[key] : []), ...(allowlist[key] || [])];
+
+  const paths = combine('paths').map(glob => globToRegExp(glob));
+  const regexes = combine('regexes').map(pattern => new RegExp(pattern));
+  const secretRegexes = combine('secretRegexes').map(pattern => new RegExp(pattern));
+  const stopwords = combine('stopwords').map(word => word.toLowerCase());
+
+  return item => {
+    const file = String(item.File || '').replace(/^\/+/, '');
+    const secret = String(item.Secret || '').toLowerCase();
+    return paths.some(regExp => regExp.test(file)) ||
+      regexes.some(regExp => regExp.test(item.Match || '')) ||
+      secretRegexes.some(regExp => regExp.test(item.Secret || '')) ||
+      stopwords.some(word => secret.includes(word));
+  };
+}
+
+module.exports = {
+  BUILT_IN_RULES,
+  DEFAULT_ALLOWLIST,
+  findSecretRulesConfig,
+  loadSecretRulesConfig,
+  mergeRules,
+  buildGitleaksConfig,
+  createAllowlist
+};
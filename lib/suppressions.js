@@ -0,0 +1,184 @@
+const fs = require('fs');
+const yaml = require('js-yaml');
+const semver = require('semver');
+const { countFindings } = require('./findings');
+
+/**
+ * Convert a path glob (`*`, `**`, `?`) to a regular expression
+ */
+function globToRegExp(glob) {
+  let pattern = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      // `**/` matches zero or more directories
+      pattern += glob[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += glob[i + 2] === '/' ? 2 : 1;
+    } else if (char === '*') {
+      pattern += '[^/]*';
+    } else if (char === '?') {
+      pattern += '[^/]';
+    } else {
+      pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${pattern}$`);
+}
+
+/**
+ * Load and validate a suppression file
+ *
+ * Each entry needs a `reason` and at least one matcher: `id` (CVE or check ID),
+ * `package` with an optional `versions` range, `rule` (Gitleaks rule ID) or `path` (glob).
+ * Invalid entries are returned as errors and never applied.
+ */
+function loadSuppressions(filePath) {
+  const data = yaml.load(fs.readFileSync(filePath, 'utf8')) || {};
+  const rawEntries = Array.isArray(data) ? data : data.suppressions || [];
+
+  if (!Array.isArray(rawEntries)) {
+    throw new Error(`"suppressions" in ${filePath} must be a list`);
+  }
+
+  const entries = [];
+  const errors = [];
+
+  rawEntries.forEach((entry, index) => {
+    const label = `suppression #${index + 1}`;
+    if (!entry || typeof entry !== 'object') {
+      errors.push(`${label}: not a mapping`);
+      return;
+    }
+    if (!entry.reason || !String(entry.reason).trim()) {
+      errors.push(`${label}: missing reason`);
+      return;
+    }
+    if (!entry.id && !entry.package && !entry.rule && !entry.path) {
+      errors.push(`${label}: no id, package, rule or path to match`);
+      return;
+    }
+    if (entry.versions && !entry.package) {
+      errors.push(`${label}: version range without a package`);
+      return;
+    }
+
+    let expires = null;
+    if (entry.expires) {
+      expires = new Date(entry.expires instanceof Date ? entry.expires : String(entry.expires));
+      if (Number.isNaN(expires.getTime())) {
+        errors.push(`${label}: invalid expiry date ${entry.expires}`);
+        return;
+      }
+    }
+
+    entries.push({
+      id: entry.id ? String(entry.id) : null,
+      package: entry.package ? String(entry.package) : null,
+      versions: entry.versions ? String(entry.versions) : null,
+      rule: entry.rule ? String(entry.rule) : null,
+      path: entry.path ? String(entry.path) : null,
+      pathPattern: entry.path ? globToRegExp(String(entry.path)) : null,
+      reason: String(entry.reason).trim(),
+      expires
+    });
+  });
+
+  return { entries, errors };
+}
+
+function describeSuppression(entry) {
+  return [
+    entry.id,
+    entry.package && `${entry.package}${entry.versions ? `@${entry.versions}` : ''}`,
+    entry.rule && `rule ${entry.rule}`,
+    entry.path && `path ${entry.path}`
+  ].filter(Boolean).join(', ');
+}
+
+function versionMatches(version, range) {
+  const coerced = semver.valid(version) || (semver.coerce(version) || {}).version;
+  if (coerced && semver.validRange(range)) {
+    return semver.satisfies(coerced, range, { includePrerelease: true });
+  }
+  return version === range;
+}
+
+/**
+ * Check whether a suppression entry matches a finding
+ */
+function matches(entry, finding) {
+  const findingPath = (finding.Path || finding.target || '').replace(/^\.\//, '');
+
+  if (entry.id && (finding.id || '').toUpperCase() !== entry.id.toUpperCase()) {
+    return false;
+  }
+  if (entry.package && finding.package !== entry.package) {
+    return false;
+  }
+  if (entry.versions && !versionMatches(finding.version || '', entry.versions)) {
+    return false;
+  }
+  if (entry.rule && finding.RuleID !== entry.rule) {
+    return false;
+  }
+  if (entry.pathPattern && !entry.pathPattern.test(findingPath)) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Remove suppressed findings from the scanner results
+ *
+ * Suppressed findings move to each result's `suppressed` list and the result's counts are
+ * reduced accordingly. Expired suppressions are not applied.
+ */
+function applySuppressions(scannerResults, entries, now = new Date()) {
+  const active = entries.filter(entry => !entry.expires || entry.expires >= now);
+  const expired = entries.filter(entry => entry.expires && entry.expires < now);
+  const allSuppressed = [];
+
+  scannerResults.forEach(result => {
+    const kept = [];
+    const suppressed = [];
+
+    (result.vulnerabilities || []).forEach(finding => {
+      const entry = active.find(candidate => matches(candidate, finding));
+      if (entry) {
+        suppressed.push({
+          ...finding,
+          suppression: {
+            reason: entry.reason,
+            expires: entry.expires ? entry.expires.toISOString().substring(0, 10) : null
+          }
+        });
+      } else {
+        kept.push(finding);
+      }
+    });
+
+    const suppressedCounts = countFindings(suppressed);
+    ['total', 'critical', 'high', 'medium', 'low'].forEach(key => {
+      result[key] = Math.max(0, (result[key] || 0) - suppressedCounts[key]);
+    });
+
+    result.vulnerabilities = kept;
+    if (Array.isArray(result.secrets)) {
+      result.secrets = result.secrets.filter(secret => kept.includes(secret));
+    }
+    result.suppressed = suppressed;
+    allSuppressed.push(...suppressed);
+  });
+
+  return {
+    counts: countFindings(allSuppressed),
+    expired
+  };
+}
+
+module.exports = {
+  globToRegExp,
+  loadSuppressions,
+  describeSuppression,
+  applySuppressions
+};
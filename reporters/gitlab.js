@@ -0,0 +1,348 @@
+const crypto = require('crypto');
+
+// GitLab security report schema version emitted by this writer
+const SCHEMA_VERSION = '15.0.7';
+
+const VENDOR = { name: 'NTU Security' };
+
+const ANALYZER = {
+  id: 'ntu-security-scanner',
+  name: 'NTU Security Scanner',
+  version: '1.0.0',
+  vendor: VENDOR
+};
+
+// Maps Trivy result types to GitLab package manager names
+const PACKAGE_MANAGERS = {
+  npm: 'npm',
+  'node-pkg': 'npm',
+  yarn: 'yarn',
+  pnpm: 'pnpm',
+  pip: 'pip',
+  pipenv: 'pipenv',
+  poetry: 'poetry',
+  'python-pkg': 'pip',
+  gomod: 'go',
+  gobinary: 'go',
+  bundler: 'bundler',
+  gemspec: 'bundler',
+  composer: 'composer',
+  pom: 'maven',
+  jar: 'maven',
+  gradle: 'gradle',
+  sbt: 'sbt',
+  nuget: 'nuget',
+  'dotnet-core': 'nuget',
+  conan: 'conan',
+  cargo: 'cargo',
+  rustbinary: 'cargo',
+  cocoapods: 'cocoapods',
+  pub: 'pub',
+  swift: 'swift',
+  mix: 'mix'
+};
+
+// Report type written for each scan type
+const REPORT_TYPES = {
+  fs: 'dependency_scanning',
+  repo: 'dependency_scanning',
+  rootfs: 'dependency_scanning',
+  sbom: 'dependency_scanning',
+  image: 'container_scanning'
+};
+
+const REPORT_FILES = {
+  dependency_scanning: 'gl-dependency-scanning-report.json',
+  container_scanning: 'gl-container-scanning-report.json',
+  secret_detection: 'gl-secret-detection-report.json'
+};
+
+// Commit SHA GitLab expects when a secret was found outside of git history
+const NO_COMMIT_SHA = '0000000';
+
+class GitLabReportWriter {
+  /**
+   * Get the report type and file name for a scan type
+   */
+  getReportTarget(scanType) {
+    const type = REPORT_TYPES[scanType];
+    if (!type) {
+      return null;
+    }
+    return { type, fileName: REPORT_FILES[type] };
+  }
+
+  /**
+   * Build a GitLab security report from the orchestrator results
+   */
+  buildReport(reportType, results, meta = {}) {
+    const vulnerabilities = this.collectVulnerabilities(results.scannerResults);
+
+    const report = {
+      version: SCHEMA_VERSION,
+      scan: this.buildScan(reportType, meta),
+      vulnerabilities: vulnerabilities.map(vuln => reportType === 'container_scanning'
+        ? this.toContainerVulnerability(vuln, meta)
+        : this.toDependencyVulnerability(vuln))
+    };
+
+    if (reportType === 'dependency_scanning') {
+      report.dependency_files = this.buildDependencyFiles(vulnerabilities);
+    }
+
+    return report;
+  }
+
+  /**
+   * Get the file name of the secret detection report
+   */
+  getSecretReportFileName() {
+    return REPORT_FILES.secret_detection;
+  }
+
+  /**
+   * Build a GitLab secret detection report from the secrets found by all scanners
+   */
+  buildSecretReport(results, meta = {}) {
+    const secrets = [];
+    (results.scannerResults || []).forEach(result => {
+      (result.secrets || []).forEach(secret => secrets.push(secret));
+    });
+
+    return {
+      version: SCHEMA_VERSION,
+      scan: {
+        analyzer: ANALYZER,
+        scanner: {
+          id: 'gitleaks',
+          name: 'Gitleaks',
+          version: meta.secretScannerVersion || 'unknown',
+          url: 'https://github.com/gitleaks/gitleaks',
+          vendor: { name: 'Gitleaks' }
+        },
+        type: 'secret_detection',
+        start_time: this.formatTime(meta.startTime),
+        end_time: this.formatTime(meta.endTime),
+        ...this.buildScanStatus(meta)
+      },
+      vulnerabilities: secrets.map(secret => this.toSecretVulnerability(secret))
+    };
+  }
+
+  toSecretVulnerability(secret) {
+    const ruleId = secret.RuleID || 'unknown';
+    const file = secret.Path || (secret.File || '').replace(/^\/+/, '');
+    const startLine = parseInt(secret.StartLine, 10);
+    const endLine = parseInt(secret.EndLine, 10);
+
+    const commit = { sha: secret.Commit || NO_COMMIT_SHA };
+    if (secret.Author) {
+      commit.author = secret.Author;
+    }
+    if (secret.Date) {
+      commit.date = secret.Date;
+    }
+    const location = { file, commit };
+    if (!Number.isNaN(startLine)) {
+      location.start_line = startLine;
+    }
+    if (!Number.isNaN(endLine)) {
+      location.end_line = endLine;
+    }
+
+    return {
+      id: this.uuid(`${ruleId}|${file}|${secret.Fingerprint || `${startLine}:${secret.StartColumn}`}`),
+      name: secret.Description || ruleId,
+      description: `${secret.Description || ruleId} detected in ${file}`,
+      severity: 'Critical',
+      solution: 'Revoke the exposed secret, rotate it and remove it from the repository',
+      identifiers: [{
+        type: 'gitleaks_rule_id',
+        name: `Gitleaks rule ID ${ruleId}`,
+        value: ruleId
+      }],
+      location
+    };
+  }
+
+  /**
+   * Collect package vulnerabilities from all scanner results
+   */
+  collectVulnerabilities(scannerResults = []) {
+    const vulnerabilities = [];
+    scannerResults.forEach(result => {
+      (result.vulnerabilities || [])
+        .filter(vuln => vuln.category === 'vulnerability' && vuln.package)
+        .forEach(vuln => vulnerabilities.push({ ...vuln, scanner: result.scanner }));
+    });
+    return vulnerabilities;
+  }
+
+  /**
+   * Build the report's scan section
+   */
+  buildScan(reportType, meta) {
+    return {
+      analyzer: ANALYZER,
+      scanner: {
+        id: 'trivy',
+        name: 'Trivy',
+        version: meta.scannerVersion || 'unknown',
+        url: 'https://github.com/aquasecurity/trivy',
+        vendor: { name: 'Aqua Security' }
+      },
+      type: reportType,
+      start_time: this.formatTime(meta.startTime),
+      end_time: this.formatTime(meta.endTime),
+      ...this.buildScanStatus(meta)
+    };
+  }
+
+  /**
+   * Mark the scan as failed when any scanner feeding the report failed
+   */
+  buildScanStatus(meta) {
+    const failures = meta.failures || [];
+    if (failures.length === 0) {
+      return { status: 'success' };
+    }
+    return {
+      status: 'failure',
+      messages: failures.map(failure => ({
+        level: 'fatal',
+        value: `${failure.scanner} failed: ${failure.error}`
+      }))
+    };
+  }
+
+  toDependencyVulnerability(vuln) {
+    return {
+      ...this.buildCommonFields(vuln),
+      location: {
+        file: vuln.target || '',
+        dependency: {
+          package: { name: vuln.package },
+          version: vuln.version || ''
+        }
+      }
+    };
+  }
+
+  toContainerVulnerability(vuln, meta) {
+    const os = meta.os || {};
+    const finding = {
+      ...this.buildCommonFields(vuln),
+      location: {
+        dependency: {
+          package: { name: vuln.package },
+          version: vuln.version || ''
+        },
+        operating_system: [os.Family, os.Name].filter(Boolean).join(' ') || 'unknown',
+        image: meta.image || vuln.target || ''
+      }
+    };
+
+    // The schema has no layer field, so the layer is reported in the finding details
+    if (vuln.layer) {
+      finding.details = {
+        layer: {
+          type: 'text',
+          name: 'Image layer',
+          value: vuln.layer.diffId || vuln.layer.digest
+        }
+      };
+    }
+    return finding;
+  }
+
+  /**
+   * Fields shared by dependency and container scanning findings
+   */
+  buildCommonFields(vuln) {
+    const identifiers = [this.buildIdentifier(vuln)];
+    const links = [...new Set([vuln.primaryUrl, ...(vuln.references || [])].filter(Boolean))]
+      .map(url => ({ url }));
+
+    const fields = {
+      id: this.uuid(`${vuln.id}|${vuln.package}|${vuln.version}|${vuln.target}`),
+      name: vuln.title || vuln.id,
+      description: vuln.description || vuln.title || vuln.id,
+      severity: this.mapSeverity(vuln.severity),
+      identifiers,
+      links
+    };
+
+    if (vuln.fixedVersion) {
+      fields.solution = `Upgrade ${vuln.package} to version ${vuln.fixedVersion}`;
+    }
+
+    return fields;
+  }
+
+  buildIdentifier(vuln) {
+    const id = vuln.id || 'unknown';
+    if (/^CVE-/i.test(id)) {
+      return { type: 'cve', name: id, value: id, url: `https://nvd.nist.gov/vuln/detail/${id}` };
+    }
+    if (/^GHSA-/i.test(id)) {
+      return { type: 'ghsa', name: id, value: id, url: `https://github.com/advisories/${id}` };
+    }
+    return { type: 'trivy', name: id, value: id, url: vuln.primaryUrl || undefined };
+  }
+
+  /**
+   * List the dependency files that contain vulnerable packages
+   */
+  buildDependencyFiles(vulnerabilities) {
+    const files = new Map();
+    vulnerabilities.forEach(vuln => {
+      const filePath = vuln.target || '';
+      if (!files.has(filePath)) {
+        files.set(filePath, {
+          path: filePath,
+          package_manager: PACKAGE_MANAGERS[vuln.targetType] || vuln.targetType || 'unknown',
+          dependencies: []
+        });
+      }
+
+      const entry = files.get(filePath);
+      if (!entry.dependencies.some(dep => dep.package.name === vuln.package && dep.version === vuln.version)) {
+        entry.dependencies.push({ package: { name: vuln.package }, version: vuln.version || '' });
+      }
+    });
+    return [...files.values()];
+  }
+
+  mapSeverity(severity) {
+    const severities = {
+      CRITICAL: 'Critical',
+      HIGH: 'High',
+      MEDIUM: 'Medium',
+      LOW: 'Low'
+    };
+    return severities[(severity || '').toUpperCase()] || 'Unknown';
+  }
+
+  /**
+   * Format a date the way GitLab report schemas expect (no milliseconds or zone)
+   */
+  formatTime(date) {
+    return (date || new Date()).toISOString().replace(/\.\d{3}Z$/, '');
+  }
+
+  /**
+   * Build a stable UUID from a seed so findings keep their identity between pipelines
+   */
+  uuid(seed) {
+    const hex = crypto.createHash('sha256').update(seed).digest('hex');
+    return [
+      hex.substring(0, 8),
+      hex.substring(8, 12),
+      `5${hex.substring(13, 16)}`,
+      `${((parseInt(hex.substring(16, 18), 16) & 0x3f) | 0x80).toString(16)}${hex.substring(18, 20)}`,
+      hex.substring(20, 32)
+    ].join('-');
+  }
+}
+
+module.exports = new GitLabReportWriter();
@@ -0,0 +1,240 @@
+const path = require('path');
+
+const SARIF_VERSION = '2.1.0';
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+// SARIF result level for each severity
+const LEVELS = {
+  CRITICAL: 'error',
+  HIGH: 'error',
+  MEDIUM: 'warning',
+  LOW: 'note',
+  UNKNOWN: 'note'
+};
+
+// Numeric score used by code scanning tools to rank security findings
+const SECURITY_SEVERITY = {
+  CRITICAL: '9.5',
+  HIGH: '8.0',
+  MEDIUM: '5.5',
+  LOW: '2.0',
+  UNKNOWN: '0.0'
+};
+
+class SarifReportWriter {
+  /**
+   * Build a SARIF log with one run per scanner result
+   */
+  buildLog(results, meta = {}) {
+    return {
+      $schema: SARIF_SCHEMA,
+      version: SARIF_VERSION,
+      runs: (results.scannerResults || []).map(result => this.buildRun(result, meta))
+    };
+  }
+
+  buildRun(scannerResult, meta) {
+    const rules = [];
+    const ruleIndexes = new Map();
+    const sarifResults = [];
+
+    (scannerResult.vulnerabilities || []).forEach(finding => {
+      const rule = finding.category === 'secret'
+        ? this.buildSecretRule(finding)
+        : this.buildVulnerabilityRule(finding);
+
+      if (!ruleIndexes.has(rule.id)) {
+        ruleIndexes.set(rule.id, rules.length);
+        rules.push(rule);
+      }
+
+      sarifResults.push(this.buildResult(finding, rule, ruleIndexes.get(rule.id), meta));
+    });
+
+    const driver = {
+      name: scannerResult.scanner,
+      informationUri: 'https://github.com/openpulsetech/neotrak-action-gitlab',
+      rules
+    };
+    if (scannerResult.scannerVersion) {
+      driver.version = scannerResult.scannerVersion;
+    }
+
+    const run = {
+      tool: { driver },
+      results: sarifResults
+    };
+
+    if (scannerResult.status) {
+      const invocation = { executionSuccessful: scannerResult.status !== 'failed' };
+      if (scannerResult.error) {
+        invocation.toolExecutionNotifications = [{
+          level: scannerResult.status === 'failed' ? 'error' : 'note',
+          message: { text: scannerResult.error }
+        }];
+      }
+      run.invocations = [invocation];
+    }
+
+    if (meta.workspaceDir) {
+      run.originalUriBaseIds = {
+        SRCROOT: { uri: `file://${meta.workspaceDir.replace(/\\/g, '/').replace(/\/?$/, '/')}` }
+      };
+    }
+
+    return run;
+  }
+
+  buildVulnerabilityRule(vuln) {
+    const severity = this.normalizeSeverity(vuln.severity);
+    const helpLines = [
+      vuln.title || vuln.id,
+      vuln.package ? `Package: ${vuln.package}` : null,
+      vuln.version ? `Installed version: ${vuln.version}` : null,
+      vuln.fixedVersion ? `Fixed version: ${vuln.fixedVersion}` : null,
+      vuln.resolution ? `Resolution: ${vuln.resolution}` : null
+    ].filter(Boolean);
+
+    return {
+      id: vuln.id,
+      name: (vuln.id || '').replace(/[^A-Za-z0-9]/g, ''),
+      shortDescription: { text: vuln.title || vuln.id },
+      fullDescription: { text: vuln.description || vuln.title || vuln.id },
+      helpUri: this.getHelpUri(vuln),
+      help: { text: helpLines.join('\n') },
+      defaultConfiguration: { level: LEVELS[severity] },
+      properties: {
+        tags: ['security', vuln.category || 'vulnerability'],
+        precision: 'very-high',
+        'security-severity': SECURITY_SEVERITY[severity]
+      }
+    };
+  }
+
+  buildSecretRule(secret) {
+    const ruleId = secret.RuleID || 'secret';
+    return {
+      id: ruleId,
+      name: ruleId.replace(/[^A-Za-z0-9]/g, ''),
+      shortDescription: { text: secret.Description || ruleId },
+      fullDescription: { text: `${secret.Description || ruleId} committed to the repository` },
+      help: { text: 'Revoke the exposed secret, rotate it and remove it from the repository.' },
+      defaultConfiguration: { level: 'error' },
+      properties: {
+        tags: ['security', 'secret'],
+        precision: 'high',
+        'security-severity': SECURITY_SEVERITY.CRITICAL
+      }
+    };
+  }
+
+  buildResult(finding, rule, ruleIndex, meta) {
+    const isSecret = finding.category === 'secret';
+    const message = isSecret
+      ? `${rule.shortDescription.text} found in ${this.getFindingPath(finding)}`
+      : this.buildVulnerabilityMessage(finding);
+
+    const result = {
+      ruleId: rule.id,
+      ruleIndex,
+      level: rule.defaultConfiguration.level,
+      message: { text: message }
+    };
+
+    const location = this.buildLocation(finding, meta);
+    if (location) {
+      result.locations = [location];
+    }
+
+    return result;
+  }
+
+  buildVulnerabilityMessage(vuln) {
+    if (vuln.category === 'misconfiguration') {
+      return `${vuln.id}: ${vuln.message || vuln.title}${vuln.resource ? ` (${vuln.resource})` : ''}`;
+    }
+
+    let message = `${vuln.id}: ${vuln.title || 'vulnerability'}`;
+    if (vuln.package) {
+      message += ` in ${vuln.package}@${vuln.version || 'unknown'}`;
+    }
+    if (vuln.fixedVersion) {
+      message += ` (fixed in ${vuln.fixedVersion})`;
+    }
+    return message;
+  }
+
+  /**
+   * Build a physical location for findings whose scanner reports a file
+   */
+  buildLocation(finding, meta) {
+    const filePath = this.getFindingPath(finding);
+    if (!filePath) {
+      return null;
+    }
+
+    const physicalLocation = {
+      artifactLocation: this.buildArtifactLocation(filePath, meta.workspaceDir)
+    };
+
+    const region = {};
+    const startLine = parseInt(finding.StartLine || finding.startLine, 10);
+    const endLine = parseInt(finding.EndLine || finding.endLine, 10);
+    const startColumn = parseInt(finding.StartColumn || finding.startColumn, 10);
+    const endColumn = parseInt(finding.EndColumn || finding.endColumn, 10);
+
+    if (startLine > 0) region.startLine = startLine;
+    if (endLine > 0) region.endLine = endLine;
+    if (startColumn > 0) region.startColumn = startColumn;
+    if (endColumn > 0) region.endColumn = endColumn;
+
+    if (Object.keys(region).length > 0) {
+      physicalLocation.region = region;
+    }
+
+    return { physicalLocation };
+  }
+
+  buildArtifactLocation(filePath, workspaceDir) {
+    let uri = filePath;
+    if (workspaceDir && path.isAbsolute(filePath)) {
+      const relative = path.relative(workspaceDir, filePath);
+      if (!relative.startsWith('..')) {
+        uri = relative;
+      }
+    }
+
+    uri = uri.replace(/\\/g, '/');
+    if (path.isAbsolute(uri)) {
+      return { uri: `file://${uri}` };
+    }
+    return { uri, uriBaseId: 'SRCROOT' };
+  }
+
+  getFindingPath(finding) {
+    if (finding.category === 'secret') {
+      return finding.Path || (finding.File || '').replace(/^\/+/, '');
+    }
+    return finding.target || '';
+  }
+
+  getHelpUri(vuln) {
+    if (vuln.primaryUrl) {
+      return vuln.primaryUrl;
+    }
+    if (/^CVE-/i.test(vuln.id || '')) {
+      return `https://nvd.nist.gov/vuln/detail/${vuln.id}`;
+    }
+    if (/^GHSA-/i.test(vuln.id || '')) {
+      return `https://github.com/advisories/${vuln.id}`;
+    }
+    return undefined;
+  }
+
+  normalizeSeverity(severity) {
+    const upper = (severity || '').toUpperCase();
+    return LEVELS[upper] ? upper : 'UNKNOWN';
+  }
+}
+
+module.exports = new SarifReportWriter();
@@ -0,0 +1,269 @@
+const crypto = require('crypto');
+
+const SPDX_VERSION = 'SPDX-2.3';
+const DATA_LICENSE = 'CC0-1.0';
+const DOCUMENT_ID = 'SPDXRef-DOCUMENT';
+const NOASSERTION = 'NOASSERTION';
+
+// CycloneDX hash algorithms that are named differently in SPDX
+const CHECKSUM_ALGORITHMS = {
+  'SHA-1': 'SHA1',
+  'SHA-256': 'SHA256',
+  'SHA-384': 'SHA384',
+  'SHA-512': 'SHA512',
+  'SHA3-256': 'SHA3-256',
+  'SHA3-384': 'SHA3-384',
+  'SHA3-512': 'SHA3-512',
+  'BLAKE2b-256': 'BLAKE2b-256',
+  'BLAKE2b-384': 'BLAKE2b-384',
+  'BLAKE2b-512': 'BLAKE2b-512',
+  BLAKE3: 'BLAKE3',
+  MD5: 'MD5'
+};
+
+/**
+ * Converts the CycloneDX SBOM produced by cdxgen into an SPDX 2.3 document
+ */
+class SpdxReportWriter {
+  /**
+   * Build an SPDX 2.3 JSON document from a CycloneDX BOM
+   *
+   * Every component becomes a package keeping its purl, licenses and checksums; the CycloneDX
+   * dependency graph becomes DEPENDS_ON relationships and the BOM subject is DESCRIBED.
+   */
+  buildDocument(bom, meta = {}) {
+    const metadata = bom.metadata || {};
+    const root = metadata.component || null;
+    const name = meta.name || (root && root.name) || 'sbom';
+
+    const packages = [];
+    const extractedLicenses = new Map();
+    const idsByRef = new Map();
+    const relationships = [];
+
+    const addPackage = (component, parentId) => {
+      const spdxId = `SPDXRef-Package-${packages.length + 1}-${this.sanitizeId(component.name)}`;
+      if (component['bom-ref']) {
+        idsByRef.set(component['bom-ref'], spdxId);
+      }
+      packages.push(this.toPackage(component, spdxId, extractedLicenses));
+      if (parentId) {
+        relationships.push(this.relationship(parentId, 'CONTAINS', spdxId));
+      }
+      (component.components || []).forEach(child => addPackage(child, spdxId));
+      return spdxId;
+    };
+
+    const rootId = root ? addPackage(root, null) : null;
+    const topLevelIds = (bom.components || []).map(component => addPackage(component, null));
+
+    (rootId ? [rootId] : topLevelIds).forEach(id => {
+      relationships.unshift(this.relationship(DOCUMENT_ID, 'DESCRIBES', id));
+    });
+
+    (bom.dependencies || []).forEach(dependency => {
+      const from = idsByRef.get(dependency.ref);
+      (dependency.dependsOn || []).forEach(ref => {
+        const to = idsByRef.get(ref);
+        if (from && to) {
+          relationships.push(this.relationship(from, 'DEPENDS_ON', to));
+        }
+      });
+    });
+
+    const document = {
+      spdxVersion: SPDX_VERSION,
+      dataLicense: DATA_LICENSE,
+      SPDXID: DOCUMENT_ID,
+      name,
+      documentNamespace: `https://spdx.org/spdxdocs/${encodeURIComponent(name)}-${this.getDocumentUuid(bom)}`,
+      creationInfo: {
+        created: this.formatTime(new Date(metadata.timestamp || Date.now())),
+        creators: this.buildCreators(metadata)
+      },
+      packages,
+      relationships
+    };
+
+    if (extractedLicenses.size > 0) {
+      document.hasExtractedLicensingInfos = [...extractedLicenses.values()];
+    }
+    return document;
+  }
+
+  toPackage(component, spdxId, extractedLicenses) {
+    const spdxPackage = {
+      SPDXID: spdxId,
+      name: component.group ? `${component.group}/${component.name}` : component.name,
+      versionInfo: component.version || undefined,
+      downloadLocation: NOASSERTION,
+      filesAnalyzed: false,
+      licenseConcluded: NOASSERTION,
+      licenseDeclared: this.buildLicenseExpression(component.licenses || [], extractedLicenses),
+      copyrightText: component.copyright || NOASSERTION
+    };
+
+    if (component.supplier && component.supplier.name) {
+      spdxPackage.supplier = `Organization: ${component.supplier.name}`;
+    }
+    if (component.description) {
+      spdxPackage.description = component.description;
+    }
+
+    const checksums = (component.hashes || [])
+      .filter(hash => CHECKSUM_ALGORITHMS[hash.alg] && hash.content)
+      .map(hash => ({ algorithm: CHECKSUM_ALGORITHMS[hash.alg], checksumValue: hash.content.toLowerCase() }));
+    if (checksums.length > 0) {
+      spdxPackage.checksums = checksums;
+    }
+
+    if (component.purl) {
+      spdxPackage.externalRefs = [{
+        referenceCategory: 'PACKAGE-MANAGER',
+        referenceType: 'purl',
+        referenceLocator: component.purl
+      }];
+    }
+
+    return spdxPackage;
+  }
+
+  /**
+   * Combine a component's CycloneDX license entries into one SPDX expression
+   *
+   * License names that are not SPDX identifiers become `LicenseRef-` licenses with their text
+   * recorded in the document's extracted licensing info.
+   */
+  buildLicenseExpression(licenses, extractedLicenses) {
+    const parts = licenses
+      .map(entry => {
+        if (entry.expression) {
+          return licenses.length > 1 ? `(${entry.expression})` : entry.expression;
+        }
+        const license = entry.license || {};
+        if (license.id) {
+          return license.id;
+        }
+        if (license.name) {
+          const licenseId = `LicenseRef-${this.sanitizeId(license.name)}`;
+          if (!extractedLicenses.has(licenseId)) {
+            extractedLicenses.set(licenseId, {
+              licenseId,
+              name: license.name,
+              extractedText: (license.text && license.text.content) || license.name
+            });
+          }
+          return licenseId;
+        }
+        return null;
+      })
+      .filter(Boolean);
+
+    return parts.length > 0 ? parts.join(' AND ') : NOASSERTION;
+  }
+
+  buildCreators(metadata) {
+    const creators = ['Tool: ntu-security-scanner'];
+    // CycloneDX 1.5 nests tools under `components`, older versions list them directly
+    const tools = Array.isArray(metadata.tools) ? metadata.tools : ((metadata.tools || {}).components || []);
+    tools
+      .filter(tool => tool && tool.name)
+      .forEach(tool => creators.push(`Tool: ${tool.name}${tool.version ? `-${tool.version}` : ''}`));
+    return creators;
+  }
+
+  relationship(from, type, to) {
+    return { spdxElementId: from, relationshipType: type, relatedSpdxElement: to };
+  }
+
+  /**
+   * Render an SPDX JSON document in the tag-value format
+   */
+  toTagValue(document) {
+    const lines = [
+      `SPDXVersion: ${document.spdxVersion}`,
+      `DataLicense: ${document.dataLicense}`,
+      `SPDXID: ${document.SPDXID}`,
+      `DocumentName: ${document.name}`,
+      `DocumentNamespace: ${document.documentNamespace}`,
+      ...document.creationInfo.creators.map(creator => `Creator: ${creator}`),
+      `Created: ${document.creationInfo.created}`
+    ];
+
+    document.packages.forEach(spdxPackage => {
+      lines.push(
+        '',
+        `PackageName: ${spdxPackage.name}`,
+        `SPDXID: ${spdxPackage.SPDXID}`
+      );
+      if (spdxPackage.versionInfo) {
+        lines.push(`PackageVersion: ${spdxPackage.versionInfo}`);
+      }
+      if (spdxPackage.supplier) {
+        lines.push(`PackageSupplier: ${spdxPackage.supplier}`);
+      }
+      lines.push(
+        `PackageDownloadLocation: ${spdxPackage.downloadLocation}`,
+        `FilesAnalyzed: ${spdxPackage.filesAnalyzed}`
+      );
+      (spdxPackage.checksums || []).forEach(checksum => {
+        lines.push(`PackageChecksum: ${checksum.algorithm}: ${checksum.checksumValue}`);
+      });
+      lines.push(
+        `PackageLicenseConcluded: ${spdxPackage.licenseConcluded}`,
+        `PackageLicenseDeclared: ${spdxPackage.licenseDeclared}`,
+        `PackageCopyrightText: ${this.textValue(spdxPackage.copyrightText)}`
+      );
+      if (spdxPackage.description) {
+        lines.push(`PackageDescription: ${this.textValue(spdxPackage.description)}`);
+      }
+      (spdxPackage.externalRefs || []).forEach(ref => {
+        lines.push(`ExternalRef: ${ref.referenceCategory} ${ref.referenceType} ${ref.referenceLocator}`);
+      });
+    });
+
+    if (document.relationships.length > 0) {
+      lines.push('');
+      document.relationships.forEach(relationship => {
+        lines.push(`Relationship: ${relationship.spdxElementId} ${relationship.relationshipType} ` +
+          `${relationship.relatedSpdxElement}`);
+      });
+    }
+
+    (document.hasExtractedLicensingInfos || []).forEach(license => {
+      lines.push(
+        '',
+        `LicenseID: ${license.licenseId}`,
+        `ExtractedText: ${this.textValue(license.extractedText)}`,
+        `LicenseName: ${license.name}`
+      );
+    });
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Wrap free text that is not a keyword value in <text> tags
+   */
+  textValue(value) {
+    return value === NOASSERTION || value === 'NONE' ? value : `<text>${value}</text>`;
+  }
+
+  /**
+   * SPDX identifiers may only contain letters, digits, `.` and `-`
+   */
+  sanitizeId(value) {
+    return String(value || 'unknown').replace(/[^A-Za-z0-9.-]+/g, '-').replace(/^-+|-+$/g, '') || 'unknown';
+  }
+
+  getDocumentUuid(bom) {
+    const match = /^urn:uuid:(.+)$/.exec(bom.serialNumber || '');
+    return match ? match[1] : crypto.randomUUID();
+  }
+
+  formatTime(date) {
+    return (Number.isNaN(date.getTime()) ? new Date() : date).toISOString().replace(/\.\d{3}Z$/, 'Z');
+  }
+}
+
+module.exports = new SpdxReportWriter();
@@ -0,0 +1,113 @@
+const { redactText } = require('../lib/redact');
+
+/**
+ * Scanner contract
+ *
+ * A scanner module exports an object (or a class/factory producing one) with:
+ * - `id`: short unique identifier used by the `scanners` input and `fail-on` policies
+ * - `name`: human readable name shown in logs and reports
+ * - `install(installConfig)`: async, prepares the scanner's tools
+ * - `scan(config)`: async, runs the scan and resolves with a {@link ScanResult}
+ *
+ * Extending {@link BaseScanner} provides GitLab CI logging helpers.
+ *
+ * @typedef {Object} ScanConfig
+ * @property {string} scanType - Trivy scan type (fs, image, repo, config, sbom, ...)
+ * @property {string} scanTarget - Absolute path (or image reference) to scan
+ * @property {string} severity - Comma separated severities to report
+ * @property {boolean} ignoreUnfixed - Skip vulnerabilities without a fix
+ * @property {string} workspaceDir - Directory of the project being scanned
+ * @property {boolean} [misconfig] - Also check the scanned files for IaC misconfigurations
+ * @property {string} [misconfigScanners] - Comma separated IaC types to check (terraform, kubernetes, ...)
+ * @property {string} [secretScanMode] - Secret scan mode: directory, history, range, staged or uncommitted
+ * @property {string} [secretScanRange] - Commit range (`base..head`) scanned in range mode
+ * @property {string} [secretRulesConfig] - Gitleaks TOML or YAML secret rules config, relative to the scanned directory
+ * @property {string[]} [secretDisabledRules] - Built-in secret rule IDs to disable
+ * @property {string} [secretMinConfidence] - Secrets below this confidence (low, medium, high) are reported separately
+ * @property {boolean} [secretFormatValidation] - Check known token formats (JWT, AWS, GitHub) when scoring secrets
+ * @property {string} [secretRedaction] - How secret values are redacted (full, partial or hash)
+ * @property {string[]} [sbomFiles] - Existing CycloneDX/SPDX SBOMs to scan instead of generating one
+ * @property {string} [sbomOutput] - Where to publish the generated CycloneDX SBOM
+ * @property {boolean} [sbomValidate] - Validate the SBOM before publishing it
+ * @property {{projectPath: string, commitSha: string, pipelineId: string}|null} [sbomMetadata] - CI metadata added to the SBOM
+ * @property {{allow: string, deny: string, review: string}} [licensePolicy] - Comma separated license patterns
+ * @property {AbortSignal} [signal] - Aborted when the scanner times out; pass it to child processes
+ * @property {{username: string, password: string, source: string}|null} [registryAuth] - Registry credentials for image scans
+ *
+ * @typedef {Object} Finding
+ * @property {string} category - 'vulnerability', 'secret', 'misconfiguration', 'license', ...
+ * @property {string} [id] - Advisory, check or rule identifier
+ * @property {string} [severity] - CRITICAL, HIGH, MEDIUM, LOW or UNKNOWN
+ * @property {string} [title]
+ * @property {string} [target] - File or artifact the finding was found in
+ *
+ * @typedef {Object} ScanResult
+ * @property {number} total - Number of findings
+ * @property {number} critical
+ * @property {number} high
+ * @property {number} medium
+ * @property {number} low
+ * @property {Finding[]} vulnerabilities - The findings themselves
+ * @property {Finding[]} [lowConfidence] - Likely false positives, not counted in the totals or failure policy
+ * @property {Finding[]} [needsReview] - Licenses to review by hand, not counted in the totals or failure policy
+ */
+class BaseScanner {
+  constructor(id, name) {
+    this.id = id;
+    this.name = name;
+    this.binaryPath = null;
+    this.installation = null;
+  }
+
+  /**
+   * Logging utilities for GitLab CI
+   */
+  log(message, level = 'info') {
+    const timestamp = new Date().toISOString();
+    const prefix = {
+      debug: '🔍 [DEBUG]',
+      info: 'ℹ️  [INFO]',
+      warning: '⚠️  [WARNING]',
+      error: '❌ [ERROR]'
+    }[level] || 'ℹ️  [INFO]';
+
+    console.log(`${timestamp} ${prefix} ${redactText(message)}`);
+  }
+
+  debug(message) {
+    if (process.env.CI_DEBUG_TRACE || process.env.DEBUG) {
+      this.log(message, 'debug');
+    }
+  }
+
+  info(message) {
+    this.log(message, 'info');
+  }
+
+  warning(message) {
+    this.log(message, 'warning');
+  }
+
+  error(message) {
+    this.log(message, 'error');
+  }
+
+  /**
+   * Prepare the scanner's tools; scanners without tools to install can keep this default
+   */
+  async install() {
+    return null;
+  }
+
+  /**
+   * Run the scan
+   *
+   * @param {ScanConfig} config
+   * @returns {Promise<ScanResult>}
+   */
+  async scan(config) {
+    throw new Error(`${this.name} does not implement scan()`);
+  }
+}
+
+module.exports = BaseScanner;
@@ -0,0 +1,194 @@
+const fs = require('fs');
+const path = require('path');
+const BaseScanner = require('./base-scanner');
+const cdxgenScanner = require('./sbom');
+const { getDefaultInstallConfig } = require('../lib/installer');
+const { countFindings } = require('../lib/findings');
+const { createLicensePolicy, strictestDecision } = require('../lib/license-policy');
+const { loadSbomFile, spdxPackagesToComponents } = require('../lib/sbom-files');
+
+// Severity reported for each policy decision
+const DECISION_SEVERITIES = {
+  deny: 'HIGH',
+  review: 'LOW'
+};
+
+const UNKNOWN_LICENSE = 'UNKNOWN';
+
+class LicenseScanner extends BaseScanner {
+  constructor() {
+    super('licenses', 'License Compliance');
+  }
+
+  /**
+   * Licenses are read from the cdxgen SBOM, so this installs cdxgen
+   *
+   * Nothing is installed when existing SBOM files are scanned.
+   */
+  async install(installConfig = getDefaultInstallConfig()) {
+    if ((installConfig.sbomFiles || []).length > 0) {
+      this.installation = { source: 'sbom-files', sha256: null, verified: false };
+      return null;
+    }
+    const binaryPath = await cdxgenScanner.install(installConfig);
+    this.binaryPath = binaryPath;
+    this.installation = cdxgenScanner.installation;
+    return binaryPath;
+  }
+
+  /**
+   * Check every SBOM component's licenses against the license policy
+   *
+   * Denied licenses within the severity filter are counted. Licenses that need review,
+   * including components without license data, are reported separately and not counted.
+   */
+  async scan(config) {
+    try {
+      const targetDir = (config.scanType === 'image' ? config.workspaceDir : config.scanTarget) || '.';
+      const sbomFiles = config.sbomFiles || [];
+      let sbomPath;
+      let components;
+      if (sbomFiles.length > 0) {
+        components = sbomFiles.flatMap(file => this.readSbomFileComponents(file));
+      } else {
+        sbomPath = await cdxgenScanner.getSBOM(targetDir, config);
+        const sbom = JSON.parse(fs.readFileSync(sbomPath, 'utf8'));
+        components = this.collectComponents(sbom.components || []);
+      }
+
+      const policyConfig = config.licensePolicy || {};
+      const policy = createLicensePolicy(policyConfig);
+      this.info(`⚖️  License policy: deny [${policyConfig.deny || ''}], review [${policyConfig.review || ''}], ` +
+        `allow [${policyConfig.allow || 'anything not denied'}]`);
+
+      const summary = { allow: 0, review: 0, deny: 0 };
+      const findings = [];
+
+      components.forEach(component => {
+        const { license, decision } = this.evaluateComponent(component, policy);
+        summary[decision]++;
+        if (decision !== 'allow') {
+          findings.push(this.toFinding(component, license, decision, targetDir));
+        }
+      });
+
+      const severities = (config.severity || 'HIGH,CRITICAL').toUpperCase().split(',').map(severity => severity.trim());
+      const denied = findings.filter(finding => finding.policy === 'deny' && severities.includes(finding.severity));
+      const needsReview = findings.filter(finding => finding.policy === 'review');
+
+      const counts = countFindings(denied);
+      this.info(`\n✨ License Scan Complete: ${components.length} components`);
+      this.info(`   ✅ Allowed: ${summary.allow}`);
+      this.info(`   🔎 Needs review (not counted): ${summary.review}`);
+      this.info(`   ⛔ Denied: ${summary.deny}`);
+
+      return {
+        ...counts,
+        vulnerabilities: denied,
+        needsReview,
+        licenseSummary: summary,
+        sbomPath
+      };
+    } catch (error) {
+      this.error(`❌ License scan failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Read the components of an existing CycloneDX or SPDX SBOM
+   */
+  readSbomFileComponents(file) {
+    const sbom = loadSbomFile(file);
+    return sbom.format === 'spdx'
+      ? spdxPackagesToComponents(sbom.document)
+      : this.collectComponents(sbom.document.components || []);
+  }
+
+  /**
+   * Flatten nested SBOM components
+   */
+  collectComponents(components, collected = []) {
+    components.forEach(component => {
+      collected.push(component);
+      if (Array.isArray(component.components)) {
+        this.collectComponents(component.components, collected);
+      }
+    });
+    return collected;
+  }
+
+  /**
+   * Decide on a component's licenses
+   *
+   * Each CycloneDX license entry is an SPDX expression, an SPDX ID or a free-text name. When a
+   * component lists several entries all of them apply. Components without license data and
+   * expressions that cannot be parsed need review.
+   */
+  evaluateComponent(component, policy) {
+    const entries = (component.licenses || [])
+      .map(entry => {
+        if (entry.expression) {
+          return { text: entry.expression, expression: true };
+        }
+        const license = entry.license || {};
+        return license.id || license.name ? { text: license.id || license.name, expression: false } : null;
+      })
+      .filter(Boolean);
+
+    if (entries.length === 0) {
+      return { license: UNKNOWN_LICENSE, decision: 'review' };
+    }
+
+    let decision = 'allow';
+    entries.forEach(entry => {
+      let entryDecision;
+      try {
+        entryDecision = entry.expression ? policy.evaluate(entry.text) : policy.evaluateLicense(entry.text);
+      } catch (error) {
+        this.warning(`Cannot evaluate license of ${this.getPackageName(component)}: ${error.message}`);
+        entryDecision = 'review';
+      }
+      decision = strictestDecision(decision, entryDecision);
+    });
+
+    const license = entries.length === 1
+      ? entries[0].text
+      : entries.map(entry => (entry.expression ? `(${entry.text})` : entry.text)).join(' AND ');
+    return { license, decision };
+  }
+
+  getPackageName(component) {
+    if (!component.group) {
+      return component.name;
+    }
+    const separator = (component.purl || '').startsWith('pkg:npm/') ? '/' : ':';
+    return `${component.group}${separator}${component.name}`;
+  }
+
+  toFinding(component, license, decision, targetDir) {
+    const packageName = this.getPackageName(component);
+    // cdxgen records the manifest a component was found in
+    const srcFile = (component.properties || []).find(property => property.name === 'SrcFile');
+    const target = srcFile && srcFile.value
+      ? path.relative(path.resolve(targetDir), path.resolve(targetDir, String(srcFile.value)))
+      : '';
+
+    return {
+      id: license,
+      category: 'license',
+      severity: DECISION_SEVERITIES[decision],
+      title: decision === 'deny'
+        ? `License ${license} of ${packageName} is not allowed`
+        : `License ${license} of ${packageName} needs review`,
+      package: packageName,
+      version: component.version,
+      purl: component.purl,
+      license,
+      policy: decision,
+      target
+    };
+  }
+}
+
+module.exports = new LicenseScanner();
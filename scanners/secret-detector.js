@@ -1,193 +1,149 @@
-const core = require('@actions/core');
-const exec = require('@actions/exec');
 const os = require('os');
 const fs = require('fs');
 const path = require('path');
-//const axios = require('axios');
+const { execFileSync } = require('child_process');
+const BaseScanner = require('./base-scanner');
+const { installReleaseBinary, getDefaultInstallConfig } = require('../lib/installer');
+const { runCommand } = require('../lib/exec');
+const { fingerprint } = require('../lib/findings');
+const { redactSecret, redactMatch, findUncoveredValue, registerSecret } = require('../lib/redact');
+const {
+  findSecretRulesConfig,
+  loadSecretRulesConfig,
+  mergeRules,
+  buildGitleaksConfig,
+  createAllowlist
+} = require('../lib/secret-rules');
+const { scoreSecret, meetsConfidence } = require('../lib/secret-confidence');
 
 const GITLEAKS_VERSION = 'v8.27.2';
 const GITLEAKS_BINARY = 'gitleaks';
 
-const skipFiles = [
-  'package.json',
-  'package-lock.json',
-  'pom.xml',
-  'build.gradle',
-  'requirements.txt',
-  'README.md',
-  '.gitignore'
-];
-
-class SecretDetectorScanner {
+class SecretDetectorScanner extends BaseScanner {
   constructor() {
-    this.name = 'Secret Detector (Gitleaks)';
-    this.binaryPath = null;
+    super('secrets', 'Secret Detector (Gitleaks)');
   }
 
-  async install() {
+  /**
+   * Install Gitleaks
+   */
+  async install(installConfig = getDefaultInstallConfig()) {
     try {
-      core.info(`📦 Installing Gitleaks ${GITLEAKS_VERSION}...`);
+      this.info(`📦 Installing Gitleaks ${GITLEAKS_VERSION}...`);
       
       const platform = os.platform();
       const arch = os.arch() === 'x64' ? 'x64' : 'arm64';
+      const version = GITLEAKS_VERSION.substring(1);
       
-      let downloadUrl;
       let fileName;
-      let binaryName;
       
       if (platform === 'linux') {
-        fileName = `gitleaks_${GITLEAKS_VERSION.substring(1)}_linux_${arch}.tar.gz`;
-        downloadUrl = `https://github.com/gitleaks/gitleaks/releases/download/${GITLEAKS_VERSION}/${fileName}`;
-        binaryName = 'gitleaks';
+        fileName = `gitleaks_${version}_linux_${arch}.tar.gz`;
       } else if (platform === 'darwin') {
-        fileName = `gitleaks_${GITLEAKS_VERSION.substring(1)}_darwin_${arch}.tar.gz`;
-        downloadUrl = `https://github.com/gitleaks/gitleaks/releases/download/${GITLEAKS_VERSION}/${fileName}`;
-        binaryName = 'gitleaks';
+        fileName = `gitleaks_${version}_darwin_${arch}.tar.gz`;
       } else if (platform === 'win32') {
-        fileName = `gitleaks_${GITLEAKS_VERSION.substring(1)}_windows_${arch}.zip`;
-        downloadUrl = `https://github.com/gitleaks/gitleaks/releases/download/${GITLEAKS_VERSION}/${fileName}`;
-        binaryName = 'gitleaks.exe';
+        fileName = `gitleaks_${version}_windows_${arch}.zip`;
       } else {
         throw new Error(`Unsupported platform: ${platform}`);
       }
 
-      core.debug(`Downloading Gitleaks from: ${downloadUrl}`);
-
-      // Use @actions/tool-cache for reliable download and extraction
-      const { downloadTool, extractTar, extractZip, cacheDir } = require('@actions/tool-cache');
+      const binaryName = platform === 'win32' ? `${GITLEAKS_BINARY}.exe` : GITLEAKS_BINARY;
+      const installation = await installReleaseBinary({
+        tool: 'gitleaks',
+        version: GITLEAKS_VERSION,
+        fileName,
+        releaseUrl: `https://github.com/gitleaks/gitleaks/releases/download/${GITLEAKS_VERSION}`,
+        checksumsFile: `gitleaks_${version}_checksums.txt`,
+        binaryName,
+        installedName: binaryName
+      }, installConfig, this);
+
+      this.binaryPath = installation.binaryPath;
+      this.installation = installation;
       
-      // Download the file
-      const downloadPath = await downloadTool(downloadUrl);
-      core.debug(`Downloaded to: ${downloadPath}`);
-
-      // Extract the archive
-      let extractedPath;
-      if (platform === 'win32') {
-        extractedPath = await extractZip(downloadPath);
-      } else {
-        extractedPath = await extractTar(downloadPath);
-      }
-      core.debug(`Extracted to: ${extractedPath}`);
-
-      // Find the binary
-      const binaryPath = path.join(extractedPath, binaryName);
-      if (!fs.existsSync(binaryPath)) {
-        throw new Error(`Gitleaks binary not found at: ${binaryPath}`);
-      }
-
-      // Make binary executable (for Unix systems)
-      if (platform !== 'win32') {
-        fs.chmodSync(binaryPath, '755');
-      }
-
-      // Cache the binary for reuse
-      const cachedPath = await cacheDir(path.dirname(binaryPath), 'gitleaks', GITLEAKS_VERSION);
-      this.binaryPath = path.join(cachedPath, binaryName);
-      
-      // Add to PATH for this session
-      const binDir = path.dirname(this.binaryPath);
-      process.env.PATH = `${binDir}:${process.env.PATH}`;
-      
-      core.info(`✅ Gitleaks installed successfully at: ${this.binaryPath}`);
+      this.info(`✅ Gitleaks installed successfully at: ${this.binaryPath} (source: ${installation.source})`);
       return this.binaryPath;
     } catch (error) {
       throw new Error(`Failed to install Gitleaks: ${error.message}`);
     }
   }
 
-  // ✅ Stronger regex: avoids matching dummy values like "hello", "test123"
-  createCustomRules() {
-    return `
-[[rules]]
-id = "spring-placeholder-with-secret"
-description = "Secret embedded as default value in Spring Boot property placeholder"
-regex = '''\\$\\{[A-Z0-9_]+:([A-Za-z0-9+/=_\\-]{20,})\\}'''
-tags = ["secret", "spring", "placeholder", "default-value"]
-
-[[rules]]
-id = "spring-placeholder-api-key"
-description = "API key patterns in Spring Boot placeholders"
-regex = '''(?i)\\$\\{[A-Z0-9_]*(?:API|KEY|TOKEN|SECRET)[A-Z0-9_]*:([A-Za-z0-9_\\-]{20,})\\}'''
-tags = ["apikey", "spring", "placeholder"]
-
-[[rules]]
-id = "openai-groq-api-key"
-description = "OpenAI or Groq API Key"
-regex = '''(sk|gsk)_[A-Za-z0-9_\\-]{20,}'''
-tags = ["apikey", "openai", "groq"]
-
-[[rules]]
-id = "strict-secret-detection"
-description = "Detect likely passwords or secrets with high entropy"
-regex = '''(?i)(password|passwd|pwd|secret|key|token|auth|access)[\\s"']*[=:][\\s"']*["']([A-Za-z0-9@#\\-_$%!]{10,})["']'''
-tags = ["key", "secret", "generic", "password"]
-
-[[rules]]
-id = "aws-secret"
-description = "AWS Secret Access Key"
-regex = '''(?i)aws(.{0,20})?(secret|access)?(.{0,20})?['"][0-9a-zA-Z/+]{40}['"]'''
-tags = ["aws", "key", "secret"]
-
-[[rules]]
-id = "aws-key"
-description = "AWS Access Key ID"
-regex = '''AKIA[0-9A-Z]{16}'''
-tags = ["aws", "key"]
-
-[[rules]]
-id = "github-token"
-description = "GitHub Personal Access Token"
-regex = '''ghp_[A-Za-z0-9_]{36}'''
-tags = ["github", "token"]
-
-[[rules]]
-id = "jwt"
-description = "JSON Web Token"
-regex = '''eyJ[A-Za-z0-9-_]+\\.eyJ[A-Za-z0-9-_]+\\.[A-Za-z0-9-_]+'''
-tags = ["token", "jwt"]
-
-[[rules]]
-id = "firebase-api-key"
-description = "Firebase API Key"
-regex = '''AIza[0-9A-Za-z\\-_]{35}'''
-tags = ["firebase", "apikey"]
-
-[[rules]]
-id = "gitlab-token"
-description = "GitLab Personal Access Token"
-regex = '''glpat-[0-9a-zA-Z\\-_]{20,}'''
-tags = ["gitlab", "token"]
-`;
+  /**
+   * Load the project's secret rules config and merge it with the built-in rules
+   *
+   * Rule IDs in `config.secretDisabledRules` are disabled on top of the config's own list.
+   */
+  loadRules(scanDir, config = {}) {
+    const configPath = findSecretRulesConfig(scanDir, config.secretRulesConfig);
+    const rulesConfig = configPath
+      ? loadSecretRulesConfig(configPath)
+      : { rules: [], disabledRules: [], allowlist: {}, extendPath: null };
+    if (configPath) {
+      this.info(`📜 Secret rules config: ${configPath}`);
+    }
+
+    const disabledRules = [...rulesConfig.disabledRules, ...(config.secretDisabledRules || [])];
+    const rules = mergeRules(rulesConfig.rules, disabledRules);
+    this.info(`📏 ${rules.length} rule(s)${rulesConfig.extendPath ? ` plus the rules of ${rulesConfig.extendPath}` : ''}` +
+      `${disabledRules.length > 0 ? `, disabled: ${disabledRules.join(', ')}` : ''}`);
+
+    return { ...rulesConfig, rules };
   }
 
-  createTempRulesFile() {
-    const rulesPath = path.join(os.tmpdir(), 'gitleaks-custom-rules.toml');
-    fs.writeFileSync(rulesPath, this.createCustomRules());
+  createTempRulesFile(rulesConfig) {
+    const rulesPath = path.join(os.tmpdir(), `gitleaks_${Date.now()}_${process.pid}_rules.toml`);
+    fs.writeFileSync(rulesPath, buildGitleaksConfig(rulesConfig.rules, rulesConfig.extendPath));
     return rulesPath;
   }
 
-  async runGitleaks(scanDir, reportPath, rulesPath) {
-    const args = ['detect', '--source', scanDir, '--report-path', reportPath, '--config', rulesPath, '--no-banner'];
-    core.debug(`🔍 Running Gitleaks: ${this.binaryPath} ${args.join(' ')}`);
-
-    let stdoutOutput = '';
-    let stderrOutput = '';
+  /**
+   * Build the Gitleaks command line for a scan mode
+   *
+   * `directory` scans the files on disk; the other modes scan git commits: `history` every
+   * commit, `range` the commits in `options.range` (`base..head`), `staged` the staged changes
+   * and `uncommitted` all changes not committed yet.
+   */
+  buildGitleaksArgs(scanDir, reportPath, rulesPath, { mode = 'directory', range } = {}) {
+    const common = [
+      '--report-path', reportPath,
+      '--config', rulesPath,
+      '--exit-code', '0', // Findings are reported through the orchestrator
+      '--no-banner'
+    ];
+    switch (mode) {
+      case 'directory':
+        return ['dir', ...common, scanDir];
+      case 'history':
+        return ['git', ...common, scanDir];
+      case 'range':
+        return ['git', ...common, `--log-opts=${range}`, scanDir];
+      case 'staged':
+        return ['git', ...common, '--staged', scanDir];
+      case 'uncommitted':
+        return ['git', ...common, '--pre-commit', scanDir];
+      default:
+        throw new Error(`Unknown secret scan mode: ${mode}`);
+    }
+  }
 
-    const options = {
-      listeners: {
-        stdout: (data) => { stdoutOutput += data.toString(); },
-        stderr: (data) => { stderrOutput += data.toString(); },
-      },
-      ignoreReturnCode: true,
-    };
+  async runGitleaks(scanDir, reportPath, rulesPath, signal, scanOptions) {
+    const args = this.buildGitleaksArgs(scanDir, reportPath, rulesPath, scanOptions);
+    const binary = this.binaryPath || GITLEAKS_BINARY;
+    this.debug(`🔍 Running Gitleaks: "${binary}" ${args.join(' ')}`);
 
-    const exitCode = await exec.exec(this.binaryPath, args, options);
-    core.debug(`Gitleaks STDOUT: ${stdoutOutput}`);
-    if (stderrOutput && stderrOutput.trim()) {
-      core.warning(`Gitleaks STDERR: ${stderrOutput}`);
+    try {
+      // Output is captured, not logged: in verbose mode Gitleaks prints the raw secrets
+      await runCommand(binary, args, { signal, label: this.id, capture: true });
+      return 0;
+    } catch (execError) {
+      const stderrOutput = execError.stderr || '';
+      if (stderrOutput.trim()) {
+        this.warning(`Gitleaks STDERR: ${stderrOutput}`);
+      }
+      throw execError.code !== undefined
+        ? new Error(`Gitleaks exited with code ${execError.code}`)
+        : execError;
     }
-    
-    return exitCode;
   }
 
   async checkReport(reportPath) {
@@ -205,8 +161,58 @@ tags = ["gitlab", "token"]
     });
   }
 
+  /**
+   * Get a reported file path relative to the scanned directory
+   *
+   * `gitleaks dir` reports the paths it was given (absolute), `gitleaks git` paths relative to
+   * the repository.
+   */
+  relativePath(scanDir, file) {
+    return path.relative(path.resolve(scanDir), path.resolve(scanDir, file || ''));
+  }
+
+  /**
+   * Convert a Gitleaks report item into a redacted secret finding
+   *
+   * Raw values never leave the scanner: the fingerprint is taken before redacting, and the
+   * values are registered so they are masked if they show up in a log line. Paths are made
+   * relative to `scanDir` so reports, suppressions and baselines do not depend on where the
+   * project is checked out.
+   */
+  toFinding(item, config = {}, scanDir = '.') {
+    const redaction = config.secretRedaction;
+    const file = this.relativePath(scanDir, item.File);
+    registerSecret(item.Secret);
+    registerSecret(findUncoveredValue(item.Match, item.Secret));
+    return {
+      category: 'secret',
+      confidence: scoreSecret({ ...item, File: file }, { formatValidation: config.secretFormatValidation !== false }),
+      fingerprint: fingerprint({ category: 'secret', RuleID: item.RuleID, Path: file, Match: item.Match }),
+      RuleID: item.RuleID,
+      Description: item.Description,
+      File: `//////${file}`, // Add ////// prefix to match desired format
+      Path: file,
+      Fingerprint: item.Fingerprint,
+      Commit: item.Commit,
+      Author: item.Author,
+      Email: item.Email,
+      Date: item.Date,
+      Match: redactMatch(item.Match, item.Secret, redaction),
+      Secret: redactSecret(item.Secret, redaction),
+      StartLine: String(item.StartLine),
+      EndLine: String(item.EndLine),
+      StartColumn: String(item.StartColumn),
+      EndColumn: String(item.EndColumn),
+    };
+  }
+
+  /**
+   * Map a secret finding to the payload the NeoTrak update-secrets endpoint expects
+   *
+   * Findings are redacted by the scan, so the payload never carries the raw secret.
+   */
   mapToSBOMSecret(item) {
-    const fixedFile = this.fixFilePath(item.File);
+    const fixedFile = this.fixFilePath(item.Path);
     return {
       RuleID: item.RuleID,
       Description: item.Description,
@@ -237,39 +243,24 @@ tags = ["gitlab", "token"]
     return segments.join('/');
   }
 
-  async sendSecretsToApi(projectId, secretItems) {
-    const apiUrl = `https://dev.neoTrak.io/open-pulse/project/update-secrets/${projectId}`;
-    const secretsData = secretItems.map(item => this.mapToSBOMSecret(item));
-
-    const headers = {
-      'Content-Type': 'application/json',
-    };
-
-    const apiKey = process.env.X_API_KEY;
-    const secretKey = process.env.X_SECRET_KEY;
-    const tenantKey = process.env.X_TENANT_KEY;
-
-    if (apiKey) headers['x-api-key'] = apiKey;
-    if (secretKey) headers['x-secret-key'] = secretKey;
-    if (tenantKey) headers['x-tenant-key'] = tenantKey;
-
-    try {
-      core.debug('Sending secrets:', JSON.stringify(secretsData, null, 2));
-
-      const response = await axios.post(apiUrl, secretsData, {
-        headers,
-        timeout: 60000,
-      });
-
-      if (response.status >= 200 && response.status < 300) {
-        core.info('✅ Secrets updated successfully in SBOM API.');
-      } else {
-        core.error(`❌ Failed to update secrets. Status: ${response.status}`);
-        core.error('Response body:', response.data);
-      }
-    } catch (err) {
-      core.error('❌ Error sending secrets to SBOM API:', err.message || err);
+  /**
+   * Make sure both ends of a `base..head` range are in the clone
+   *
+   * GitLab clones shallowly by default, which leaves the merge request base out.
+   */
+  checkRange(scanDir, range) {
+    const [base, head] = String(range || '').split('..');
+    if (!base || !head) {
+      throw new Error(`Secret scan range must be "<base>..<head>", got "${range || ''}"`);
     }
+    [base, head].forEach(commit => {
+      try {
+        execFileSync('git', ['cat-file', '-e', `${commit}^{commit}`], { cwd: scanDir, stdio: 'ignore' });
+      } catch (error) {
+        throw new Error(`Commit ${commit} is not in the clone of ${scanDir}; ` +
+          'fetch it or set GIT_DEPTH: 0 to scan a commit range');
+      }
+    });
   }
 
   /**
@@ -278,62 +269,59 @@ tags = ["gitlab", "token"]
   async scan(config) {
     try {
       const startTime = Date.now();
-      const scanDir = config.scanTarget || config.workspaceDir || '.';
-      const reportPath = path.join(os.tmpdir(), `gitleaks_${Date.now()}_report.json`);
-      const rulesPath = this.createTempRulesFile();
+      // Image targets are not directories; look for secrets in the project instead
+      const scanDir = (config.scanType === 'image' ? config.workspaceDir : config.scanTarget) ||
+        config.workspaceDir || '.';
+      const reportPath = path.join(os.tmpdir(), `gitleaks_${Date.now()}_${process.pid}_report.json`);
+      const rulesConfig = this.loadRules(scanDir, config);
+      const rulesPath = this.createTempRulesFile(rulesConfig);
 
-      core.info(`🔍 Scanning for secrets in: ${scanDir}`);
+      this.info(`🔍 Scanning for secrets in: ${scanDir}`);
 
-      // Set GIT safe directory for Docker/GitHub context
+      // Set GIT safe directory for Docker/GitLab runner context
       try {
-        await exec.exec('git', ['config', '--global', '--add', 'safe.directory', scanDir]);
+        execFileSync('git', ['config', '--global', '--add', 'safe.directory', scanDir], { stdio: 'ignore' });
       } catch (e) {
-        core.warning("⚠️ Could not configure Git safe directory (not a git repo?)");
+        this.warning("⚠️ Could not configure Git safe directory (not a git repo?)");
       }
 
-      await this.runGitleaks(scanDir, reportPath, rulesPath);
+      const mode = config.secretScanMode || 'directory';
+      const range = config.secretScanRange;
+      if (mode === 'range') {
+        this.checkRange(scanDir, range);
+      }
+      this.info(`🧭 Secret scan mode: ${mode}${mode === 'range' ? ` (${range})` : ''}`);
+
+      await this.runGitleaks(scanDir, reportPath, rulesPath, config.signal, { mode, range });
       const result = await this.checkReport(reportPath);
 
       const endTime = Date.now();
 
+      // Allowlist paths are relative to the scanned directory
+      const isAllowlisted = createAllowlist(rulesConfig.allowlist);
       const filtered = Array.isArray(result)
-        ? result.filter(item =>
-          !skipFiles.includes(path.basename(item.File)) &&
-          !item.File.includes('node_modules') &&
-          !/["']?\$\{?[A-Z0-9_]+\}?["']?/.test(item.Match)
-        )
+        ? result.filter(item => !isAllowlisted({ ...item, File: this.relativePath(scanDir, item.File) }))
         : result;
 
-      const filteredSecrets = Array.isArray(filtered)
-        ? filtered.map(item => ({
-            Description: item.Description,
-            File: `//////${item.File}`, // Add ////// prefix to match desired format
-            Match: item.Match,
-            StartLine: String(item.StartLine),
-            EndLine: String(item.EndLine),
-            StartColumn: String(item.StartColumn),
-            EndColumn: String(item.EndColumn),
-          }))
+      const findings = Array.isArray(filtered)
+        ? filtered.map(item => this.toFinding(item, config, scanDir))
         : [];
 
+      // Likely placeholders and test data are reported separately and not counted
+      const minConfidence = config.secretMinConfidence || 'medium';
+      const filteredSecrets = findings.filter(finding => meetsConfidence(finding.confidence.level, minConfidence));
+      const lowConfidence = findings.filter(finding => !filteredSecrets.includes(finding));
+
       const durationMs = endTime - startTime;
       const durationMin = Math.floor(durationMs / 60000);
       const durationSec = Math.floor((durationMs % 60000) / 1000);
       const durationStr = `${durationMin}min ${durationSec}s`;
 
-      core.info(`🔐 Secrets detected: ${Array.isArray(filtered) ? filtered.length : 0}`);
-      core.info(`⏰ Scan duration: ${durationStr}`);
-
-      // Send secrets to API if found and PROJECT_ID is set
-      if (filtered !== "No secrets detected." && Array.isArray(filtered) && filtered.length > 0) {
-        const projectId = process.env.PROJECT_ID;
-        if (projectId) {
-          core.debug('Raw secrets data:', JSON.stringify(filtered, null, 2));
-          await this.sendSecretsToApi(projectId, filtered);
-        } else {
-          core.warning('PROJECT_ID environment variable not set. Skipping API upload.');
-        }
+      this.info(`🔐 Secrets detected: ${filteredSecrets.length}`);
+      if (lowConfidence.length > 0) {
+        this.info(`🤷 ${lowConfidence.length} finding(s) below ${minConfidence} confidence reported separately`);
       }
+      this.info(`⏰ Scan duration: ${durationStr}`);
 
       // Clean up temporary files
       try {
@@ -342,23 +330,24 @@ tags = ["gitlab", "token"]
           fs.unlinkSync(reportPath);
         }
       } catch (e) {
-        core.warning('Could not clean up temporary files');
+        this.warning('Could not clean up temporary files');
       }
 
       // Return results in the format expected by orchestrator
-      const secretCount = Array.isArray(filtered) ? filtered.length : 0;
       return {
-        total: secretCount,
+        total: filteredSecrets.length,
         critical: 0, // Secrets don't have severity levels like vulnerabilities
         high: 0,
         medium: 0,
         low: 0,
         vulnerabilities: filteredSecrets,
         secrets: filteredSecrets,
-        duration: durationStr
+        lowConfidence,
+        duration: durationStr,
+        scannerVersion: GITLEAKS_VERSION.substring(1)
       };
     } catch (error) {
-      core.error(`❌ Secret detection scan failed: ${error.message}`);
+      this.error(`❌ Secret detection scan failed: ${error.message}`);
       throw error;
     }
   }
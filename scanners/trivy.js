@@ -1,128 +1,95 @@
 const fs = require('fs');
 const os = require('os');
 const path = require('path');
-const { execSync } = require('child_process');
+const BaseScanner = require('./base-scanner');
+const { installReleaseBinary, getDefaultInstallConfig } = require('../lib/installer');
+const { runCommand } = require('../lib/exec');
 
 // Trivy scanner configuration
 const TRIVY_VERSION = 'v0.48.0';
 const SCANNER_BINARY = 'ntu-scanner-trivy';
 
-class TrivyScanner {
+// Infrastructure-as-code types checked for misconfigurations unless configured otherwise
+const DEFAULT_MISCONFIG_SCANNERS = 'terraform,kubernetes,dockerfile,helm';
+
+// Scan types that can check the scanned files for misconfigurations
+const MISCONFIG_SCAN_TYPES = ['fs', 'repo', 'rootfs'];
+
+class TrivyScanner extends BaseScanner {
   constructor() {
-    this.name = 'Trivy Vulnerability Scanner';
-    this.binaryPath = null;
+    super('trivy', 'Trivy Vulnerability Scanner');
+    this.installing = null;
+    this.queue = Promise.resolve();
   }
 
   /**
-   * Logging utilities for GitLab CI
+   * Run Trivy invocations one at a time
+   *
+   * The Trivy cache database is locked by the running process, so a second Trivy started in
+   * parallel (e.g. by the SBOM scanner) would fail instead of waiting.
    */
-  log(message, level = 'info') {
-    const timestamp = new Date().toISOString();
-    const prefix = {
-      debug: '🔍 [DEBUG]',
-      info: 'ℹ️  [INFO]',
-      warning: '⚠️  [WARNING]',
-      error: '❌ [ERROR]'
-    }[level] || 'ℹ️  [INFO]';
-    
-    console.log(`${timestamp} ${prefix} ${message}`);
+  runExclusive(task) {
+    const run = this.queue.then(task, task);
+    this.queue = run.catch(() => {});
+    return run;
   }
 
-  debug(message) {
-    if (process.env.CI_DEBUG_TRACE || process.env.DEBUG) {
-      this.log(message, 'debug');
+  /**
+   * Install Trivy scanner
+   */
+  async install(installConfig = getDefaultInstallConfig()) {
+    if (this.installing) {
+      return this.installing;
     }
-  }
 
-  info(message) {
-    this.log(message, 'info');
-  }
-
-  warning(message) {
-    this.log(message, 'warning');
-  }
-
-  error(message) {
-    this.log(message, 'error');
+    this.installing = this.installBinary(installConfig);
+    try {
+      return await this.installing;
+    } catch (error) {
+      this.installing = null;
+      throw error;
+    }
   }
 
-  /**
-   * Install Trivy scanner
-   */
-  async install() {
+  async installBinary(installConfig) {
     try {
-      this.setupGitLabEnvironment();
+      this.setupGitLabEnvironment(installConfig.cacheDir);
       
       const platform = os.platform();
       const arch = os.arch() === 'x64' ? 'amd64' : os.arch();
+      const version = TRIVY_VERSION.replace('v', '');
       
-      let downloadUrl;
+      let fileName;
       
       if (platform === 'linux') {
-        downloadUrl = `https://github.com/aquasecurity/trivy/releases/download/${TRIVY_VERSION}/trivy_${TRIVY_VERSION.replace('v', '')}_Linux-${arch === 'amd64' ? '64bit' : 'ARM64'}.tar.gz`;
+        fileName = `trivy_${version}_Linux-${arch === 'amd64' ? '64bit' : 'ARM64'}.tar.gz`;
       } else if (platform === 'darwin') {
-        downloadUrl = `https://github.com/aquasecurity/trivy/releases/download/${TRIVY_VERSION}/trivy_${TRIVY_VERSION.replace('v', '')}_macOS-${arch === 'amd64' ? '64bit' : 'ARM64'}.tar.gz`;
+        fileName = `trivy_${version}_macOS-${arch === 'amd64' ? '64bit' : 'ARM64'}.tar.gz`;
       } else if (platform === 'win32') {
-        downloadUrl = `https://github.com/aquasecurity/trivy/releases/download/${TRIVY_VERSION}/trivy_${TRIVY_VERSION.replace('v', '')}_windows-${arch === 'amd64' ? '64bit' : 'ARM64'}.zip`;
-      }
-      
-      this.debug(`Downloading from: ${downloadUrl}`);
-      
-      // Create temp directory
-      const tempDir = path.join(os.tmpdir(), `trivy-install-${Date.now()}`);
-      fs.mkdirSync(tempDir, { recursive: true });
-      
-      const downloadPath = path.join(tempDir, 'trivy-archive');
-      
-      // Download using curl (available in GitLab CI runners)
-      this.info('📥 Downloading Trivy scanner...');
-      execSync(`curl -L -o "${downloadPath}" "${downloadUrl}"`, { stdio: 'inherit' });
-      
-      // Extract
-      this.info('📦 Extracting archive...');
-      const extractDir = path.join(tempDir, 'extracted');
-      fs.mkdirSync(extractDir, { recursive: true });
-      
-      if (platform === 'win32') {
-        execSync(`unzip -q "${downloadPath}" -d "${extractDir}"`, { stdio: 'inherit' });
+        fileName = `trivy_${version}_windows-${arch === 'amd64' ? '64bit' : 'ARM64'}.zip`;
       } else {
-        execSync(`tar -xzf "${downloadPath}" -C "${extractDir}"`, { stdio: 'inherit' });
+        throw new Error(`Unsupported platform: ${platform}`);
       }
       
-      // Rename binary to hide Trivy branding
-      const originalBinary = platform === 'win32' ? 'trivy.exe' : 'trivy';
-      const newBinary = platform === 'win32' ? `${SCANNER_BINARY}.exe` : SCANNER_BINARY;
-      
-      const trivyPath = path.join(extractDir, originalBinary);
-      const cacheDir = process.env.SCANNER_CACHE_DIR || path.join(os.homedir(), '.cache', 'ntu-scanner');
-      fs.mkdirSync(cacheDir, { recursive: true });
-      
-      const scannerPath = path.join(cacheDir, newBinary);
-      
-      if (fs.existsSync(trivyPath)) {
-        fs.copyFileSync(trivyPath, scannerPath);
-      } else {
-        throw new Error(`Trivy binary not found at ${trivyPath}`);
-      }
-      
-      // Make executable on Unix systems
-      if (platform !== 'win32') {
-        fs.chmodSync(scannerPath, '755');
-      }
-      
-      this.binaryPath = scannerPath;
-      
-      // Add to PATH for this process
-      process.env.PATH = `${cacheDir}${path.delimiter}${process.env.PATH}`;
-      
-      // Cleanup temp directory
-      try {
-        fs.rmSync(tempDir, { recursive: true, force: true });
-      } catch (cleanupError) {
-        this.debug(`Failed to cleanup temp directory: ${cleanupError.message}`);
-      }
-      
-      this.info(`✅ Trivy scanner installed at: ${scannerPath}`);
+      // Binary is renamed to hide Trivy branding
+      const installation = await installReleaseBinary({
+        tool: 'trivy',
+        version: TRIVY_VERSION,
+        fileName,
+        releaseUrl: `https://github.com/aquasecurity/trivy/releases/download/${TRIVY_VERSION}`,
+        checksumsFile: `trivy_${version}_checksums.txt`,
+        signature: {
+          identity: '^https://github.com/aquasecurity/trivy/',
+          issuer: 'https://token.actions.githubusercontent.com'
+        },
+        binaryName: platform === 'win32' ? 'trivy.exe' : 'trivy',
+        installedName: platform === 'win32' ? `${SCANNER_BINARY}.exe` : SCANNER_BINARY
+      }, installConfig, this);
+      
+      this.binaryPath = installation.binaryPath;
+      this.installation = installation;
+      
+      this.info(`✅ Trivy scanner installed at: ${this.binaryPath} (source: ${installation.source})`);
       
       return this.binaryPath;
       
@@ -134,7 +101,7 @@ class TrivyScanner {
   /**
    * Set up GitLab CI environment
    */
-  setupGitLabEnvironment() {
+  setupGitLabEnvironment(cacheDir) {
     // Set up environment variables for GitLab CI
     if (!process.env.CI_PROJECT_DIR) {
       process.env.CI_PROJECT_DIR = process.cwd();
@@ -144,8 +111,6 @@ class TrivyScanner {
       process.env.CI_BUILDS_DIR = process.cwd();
     }
     
-    const cacheDir = process.env.SCANNER_CACHE_DIR || path.join(os.homedir(), '.cache', 'ntu-scanner');
-    
     // Ensure cache directory exists
     if (!fs.existsSync(cacheDir)) {
       fs.mkdirSync(cacheDir, { recursive: true });
@@ -167,8 +132,10 @@ class TrivyScanner {
         ignoreUnfixed
       } = config;
       
-      // Validate scan target exists
-      if (!fs.existsSync(scanTarget)) {
+      // Image references are pulled by Trivy; everything else must exist on disk
+      const isImage = scanType === 'image';
+      const isImageArchive = isImage && fs.existsSync(scanTarget);
+      if (!isImage && !fs.existsSync(scanTarget)) {
         throw new Error(`Scan target does not exist: ${scanTarget}`);
       }
       
@@ -180,7 +147,7 @@ class TrivyScanner {
       this.info(`⚠️  Severity: ${severityUpper}`);
       
       // Create temporary output file for JSON results
-      const jsonOutputPath = path.join(os.tmpdir(), `trivy-scan-results-${Date.now()}.json`);
+      const jsonOutputPath = path.join(os.tmpdir(), `trivy-scan-results-${Date.now()}-${process.pid}-${Math.random().toString(36).slice(2, 8)}.json`);
       
       // Build command arguments
       const args = [
@@ -192,26 +159,54 @@ class TrivyScanner {
         '--quiet' // Reduce noise
       ];
       
-      if (ignoreUnfixed) {
-        args.push('--ignore-unfixed');
+      const misconfigScanners = config.misconfigScanners || DEFAULT_MISCONFIG_SCANNERS;
+      if (scanType === 'config') {
+        // `config` only looks for misconfigurations
+        args.push('--misconfig-scanners', misconfigScanners);
+      } else if (config.misconfig && MISCONFIG_SCAN_TYPES.includes(scanType)) {
+        this.info(`🏗️  Misconfiguration checks: ${misconfigScanners}`);
+        args.push('--scanners', 'vuln,misconfig', '--misconfig-scanners', misconfigScanners);
+      } else if (config.misconfig) {
+        this.warning(`Misconfiguration checks are not supported for ${scanType} scans`);
       }
       
-      // Add skip dirs to avoid scanning scanner's own files
-      args.push('--skip-dirs', 'node_modules,.git,.gitlab');
+      if (ignoreUnfixed && scanType !== 'config') {
+        args.push('--ignore-unfixed');
+      }
       
-      args.push(scanTarget);
+      if (isImageArchive) {
+        // Local image tarball, e.g. from `docker save`
+        args.push('--input', scanTarget);
+      } else if (isImage) {
+        args.push(scanTarget);
+      } else {
+        // Add skip dirs to avoid scanning scanner's own files
+        args.push('--skip-dirs', 'node_modules,.git,.gitlab');
+        args.push(scanTarget);
+      }
       
-      const command = `"${this.binaryPath || SCANNER_BINARY}" ${args.join(' ')}`;
-      this.info(`📝 Running: ${command}`);
+      const binary = this.binaryPath || SCANNER_BINARY;
+      this.info(`📝 Running: "${binary}" ${args.join(' ')}`);
+
+      const env = { ...process.env };
+      if (isImage && !isImageArchive && config.registryAuth) {
+        this.info(`🔑 Authenticating to the registry with ${config.registryAuth.source}`);
+        env.TRIVY_USERNAME = config.registryAuth.username;
+        env.TRIVY_PASSWORD = config.registryAuth.password;
+      }
       
       // Execute scan
       try {
-        execSync(command, {
-          cwd: path.dirname(scanTarget),
-          stdio: 'inherit',
-          env: process.env
-        });
+        await this.runExclusive(() => runCommand(binary, args, {
+          cwd: isImage && !isImageArchive ? config.workspaceDir || process.cwd() : path.dirname(scanTarget),
+          env,
+          signal: config.signal,
+          label: this.id
+        }));
       } catch (execError) {
+        if (config.signal && config.signal.aborted) {
+          throw execError;
+        }
         // Log but don't fail - we set --exit-code 0
         this.warning(`Scan completed with warnings: ${execError.message}`);
       }
@@ -249,125 +244,196 @@ class TrivyScanner {
 
   /**
    * Parse Trivy JSON output
+   *
+   * Throws when the output is missing or unreadable so a broken scan is never reported as clean.
    */
   parseResults(jsonPath) {
+    if (!fs.existsSync(jsonPath)) {
+      throw new Error(`Trivy JSON output not found: ${jsonPath}`);
+    }
+
+    const stats = fs.statSync(jsonPath);
+    this.info(`📊 JSON file size: ${stats.size} bytes`);
+
+    const jsonContent = fs.readFileSync(jsonPath, 'utf8');
+
+    if (!jsonContent || jsonContent.trim() === '') {
+      throw new Error('Trivy JSON output is empty');
+    }
+
+    let data;
     try {
-      if (!fs.existsSync(jsonPath)) {
-        this.warning(`⚠️ JSON output file not found: ${jsonPath}`);
-        return {
-          total: 0,
-          critical: 0,
-          high: 0,
-          medium: 0,
-          low: 0,
-          vulnerabilities: []
-        };
-      }
-      
-      const stats = fs.statSync(jsonPath);
-      this.info(`📊 JSON file size: ${stats.size} bytes`);
-      
-      const jsonContent = fs.readFileSync(jsonPath, 'utf8');
-      
-      if (!jsonContent || jsonContent.trim() === '') {
-        this.warning('⚠️ JSON output file is empty');
-        return {
-          total: 0,
-          critical: 0,
-          high: 0,
-          medium: 0,
-          low: 0,
-          vulnerabilities: []
-        };
+      data = JSON.parse(jsonContent);
+    } catch (error) {
+      throw new Error(`Failed to parse Trivy results: ${error.message}`);
+    }
+
+    this.debug(`First 200 chars of JSON: ${jsonContent.substring(0, 200)}`);
+    
+    let criticalCount = 0;
+    let highCount = 0;
+    let mediumCount = 0;
+    let lowCount = 0;
+    const vulnerabilities = [];
+    const countSeverity = severity => {
+      switch (severity) {
+        case 'CRITICAL':
+          criticalCount++;
+          break;
+        case 'HIGH':
+          highCount++;
+          break;
+        case 'MEDIUM':
+          mediumCount++;
+          break;
+        case 'LOW':
+          lowCount++;
+          break;
       }
+    };
+    
+    // Check if Results exists and has data
+    if (data.Results && Array.isArray(data.Results)) {
+      this.info(`📦 Processing ${data.Results.length} result(s)`);
       
-      this.debug(`First 200 chars of JSON: ${jsonContent.substring(0, 200)}`);
-      
-      const data = JSON.parse(jsonContent);
-      
-      let criticalCount = 0;
-      let highCount = 0;
-      let mediumCount = 0;
-      let lowCount = 0;
-      const vulnerabilities = [];
-      
-      // Check if Results exists and has data
-      if (data.Results && Array.isArray(data.Results)) {
-        this.info(`📦 Processing ${data.Results.length} result(s)`);
+      data.Results.forEach((result, idx) => {
+        this.debug(`Result ${idx + 1}: Type=${result.Type}, Target=${result.Target}`);
         
-        data.Results.forEach((result, idx) => {
-          this.debug(`Result ${idx + 1}: Type=${result.Type}, Target=${result.Target}`);
+        if (result.Vulnerabilities && Array.isArray(result.Vulnerabilities)) {
+          this.info(`   📋 Result ${idx + 1} (${result.Type || 'unknown'}): ${result.Vulnerabilities.length} vulnerabilities`);
           
-          if (result.Vulnerabilities && Array.isArray(result.Vulnerabilities)) {
-            this.info(`   📋 Result ${idx + 1} (${result.Type || 'unknown'}): ${result.Vulnerabilities.length} vulnerabilities`);
-            
-            result.Vulnerabilities.forEach(vuln => {
-              vulnerabilities.push({
-                id: vuln.VulnerabilityID,
-                severity: vuln.Severity,
-                package: vuln.PkgName,
-                version: vuln.InstalledVersion,
-                fixedVersion: vuln.FixedVersion,
-                title: vuln.Title
-              });
-              
-              switch (vuln.Severity) {
-                case 'CRITICAL':
-                  criticalCount++;
-                  break;
-                case 'HIGH':
-                  highCount++;
-                  break;
-                case 'MEDIUM':
-                  mediumCount++;
-                  break;
-                case 'LOW':
-                  lowCount++;
-                  break;
-              }
+          result.Vulnerabilities.forEach(vuln => {
+            vulnerabilities.push({
+              id: vuln.VulnerabilityID,
+              category: 'vulnerability',
+              severity: vuln.Severity,
+              package: vuln.PkgName,
+              version: vuln.InstalledVersion,
+              fixedVersion: vuln.FixedVersion,
+              title: vuln.Title,
+              description: vuln.Description,
+              primaryUrl: vuln.PrimaryURL,
+              references: vuln.References || [],
+              target: result.Target,
+              targetType: result.Type,
+              layer: vuln.Layer && (vuln.Layer.DiffID || vuln.Layer.Digest)
+                ? { diffId: vuln.Layer.DiffID || null, digest: vuln.Layer.Digest || null }
+                : null
             });
-          } else {
-            this.info(`   ✅ Result ${idx + 1} (${result.Type || 'unknown'}): No vulnerabilities`);
-          }
-        });
-      } else {
-        this.warning('⚠️ No Results array found in JSON output');
-        if (data) {
-          this.debug(`JSON keys: ${Object.keys(data).join(', ')}`);
+            
+            countSeverity(vuln.Severity);
+          });
+        } else {
+          this.info(`   ✅ Result ${idx + 1} (${result.Type || 'unknown'}): No vulnerabilities`);
+        }
+
+        // Trivy only reports failed checks unless asked for passed ones
+        const misconfigurations = (result.Misconfigurations || [])
+          .filter(misconfig => misconfig.Status !== 'PASS');
+        if (misconfigurations.length > 0) {
+          this.info(`   🏗️  Result ${idx + 1} (${result.Type || 'unknown'}): ${misconfigurations.length} misconfigurations`);
         }
+        misconfigurations.forEach(misconfig => {
+          vulnerabilities.push(this.toMisconfigFinding(misconfig, result));
+          countSeverity(misconfig.Severity);
+        });
+      });
+    } else {
+      this.warning('⚠️ No Results array found in JSON output');
+      if (data) {
+        this.debug(`JSON keys: ${Object.keys(data).join(', ')}`);
       }
-      
-      const totalCount = criticalCount + highCount + mediumCount + lowCount;
-      
-      // Log scanner-specific results
-      this.info(`\n✨ Trivy Scan Complete:`);
-      this.info(`   📊 Total: ${totalCount} vulnerabilities`);
-      this.info(`   🔴 Critical: ${criticalCount}`);
-      this.info(`   🟠 High: ${highCount}`);
-      this.info(`   🟡 Medium: ${mediumCount}`);
-      this.info(`   🟢 Low: ${lowCount}`);
-      
-      return {
-        total: totalCount,
-        critical: criticalCount,
-        high: highCount,
-        medium: mediumCount,
-        low: lowCount,
-        vulnerabilities
-      };
-      
-    } catch (error) {
-      this.error(`❌ Failed to parse Trivy results: ${error.message}`);
-      this.debug(`Stack: ${error.stack}`);
-      return {
-        total: 0,
-        critical: 0,
-        high: 0,
-        medium: 0,
-        low: 0,
-        vulnerabilities: []
-      };
     }
+    
+    const totalCount = criticalCount + highCount + mediumCount + lowCount;
+    
+    // Log scanner-specific results
+    this.info(`\n✨ Trivy Scan Complete:`);
+    this.info(`   📊 Total: ${totalCount} findings`);
+    this.info(`   🔴 Critical: ${criticalCount}`);
+    this.info(`   🟠 High: ${highCount}`);
+    this.info(`   🟡 Medium: ${mediumCount}`);
+    this.info(`   🟢 Low: ${lowCount}`);
+    
+    return {
+      total: totalCount,
+      critical: criticalCount,
+      high: highCount,
+      medium: mediumCount,
+      low: lowCount,
+      vulnerabilities,
+      artifactName: data.ArtifactName,
+      artifactType: data.ArtifactType,
+      os: data.Metadata && data.Metadata.OS ? data.Metadata.OS : null,
+      layers: data.ArtifactType === 'container_image' ? this.summarizeLayers(data.Metadata, vulnerabilities) : undefined,
+      scannerVersion: TRIVY_VERSION.replace('v', '')
+    };
+  }
+
+  /**
+   * Normalize a Trivy misconfiguration into the orchestrator's finding model
+   */
+  toMisconfigFinding(misconfig, result) {
+    const cause = misconfig.CauseMetadata || {};
+    return {
+      id: misconfig.ID || misconfig.AVDID,
+      category: 'misconfiguration',
+      severity: misconfig.Severity,
+      title: misconfig.Title,
+      description: misconfig.Description,
+      message: misconfig.Message,
+      resolution: misconfig.Resolution,
+      primaryUrl: misconfig.PrimaryURL,
+      references: misconfig.References || [],
+      target: result.Target,
+      targetType: result.Type,
+      resource: cause.Resource || null,
+      startLine: cause.StartLine || null,
+      endLine: cause.EndLine || null
+    };
+  }
+
+  /**
+   * Count findings per image layer, in layer order
+   *
+   * Layers come from the image's DiffIDs; the instruction that created each layer is taken
+   * from the image config history, which lists empty layers too.
+   */
+  summarizeLayers(metadata = {}, vulnerabilities) {
+    const diffIds = metadata.DiffIDs || [];
+    const history = ((metadata.ImageConfig || {}).history || []).filter(entry => !entry.empty_layer);
+
+    const createLayer = (diffId, index) => ({
+      index,
+      diffId,
+      digest: null,
+      createdBy: history[index] ? history[index].created_by || null : null,
+      total: 0,
+      critical: 0,
+      high: 0,
+      medium: 0,
+      low: 0
+    });
+    const layers = diffIds.map(createLayer);
+
+    vulnerabilities.forEach(vuln => {
+      if (!vuln.layer) {
+        return;
+      }
+      let layer = layers.find(candidate => candidate.diffId === vuln.layer.diffId);
+      if (!layer) {
+        layer = { ...createLayer(vuln.layer.diffId, layers.length), createdBy: null };
+        layers.push(layer);
+      }
+      layer.digest = layer.digest || vuln.layer.digest;
+      layer.total++;
+      const severity = (vuln.severity || '').toLowerCase();
+      if (['critical', 'high', 'medium', 'low'].includes(severity)) {
+        layer[severity]++;
+      }
+    });
+
+    return layers;
   }
 }
 
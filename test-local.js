@@ -15,4 +15,4 @@ process.env.GITHUB_WORKSPACE = process.cwd();
 console.log('🧪 Starting NTU Security Scanner local test...');
 console.log('Environment variables set for local testing');
 
-require('./index.js');
+require('./index.js').run();
@@ -0,0 +1,50 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { NTUSecurityOrchestrator } = require('../index');
+
+function vulnerability(id, pkg) {
+  return { category: 'vulnerability', id, package: pkg, version: '1.0.0', severity: 'HIGH', target: 'package-lock.json' };
+}
+
+describe('GitLab security reports', () => {
+  let outputDir;
+  let orchestrator;
+
+  beforeEach(() => {
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gl-reports-'));
+    process.env.INPUT_OUTPUT_DIR = outputDir;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    orchestrator = new NTUSecurityOrchestrator();
+    orchestrator.results.scannerResults = [
+      { id: 'trivy', scanner: 'Trivy', status: 'succeeded', vulnerabilities: [vulnerability('CVE-2024-0001', 'openssl')] },
+      { id: 'sbom', scanner: 'CDXgen SBOM Generator', status: 'succeeded', vulnerabilities: [vulnerability('CVE-2024-0002', 'lodash')] }
+    ];
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.INPUT_OUTPUT_DIR;
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  const readReport = fileName => JSON.parse(fs.readFileSync(path.join(outputDir, fileName), 'utf8'));
+  const cves = report => report.vulnerabilities.map(vuln => vuln.identifiers[0].value);
+
+  test('image scans keep workspace SBOM findings out of the container report', () => {
+    orchestrator.scanConfig = { scanType: 'image', rawTarget: 'alpine:3.19' };
+    orchestrator.writeSecurityReports();
+
+    expect(cves(readReport('gl-container-scanning-report.json'))).toEqual(['CVE-2024-0001']);
+    expect(cves(readReport('gl-dependency-scanning-report.json'))).toEqual(['CVE-2024-0002']);
+  });
+
+  test('filesystem scans report every scanner as dependency scanning', () => {
+    orchestrator.scanConfig = { scanType: 'fs' };
+    orchestrator.writeSecurityReports();
+
+    expect(cves(readReport('gl-dependency-scanning-report.json'))).toEqual(['CVE-2024-0001', 'CVE-2024-0002']);
+    expect(fs.existsSync(path.join(outputDir, 'gl-container-scanning-report.json'))).toBe(false);
+  });
+});
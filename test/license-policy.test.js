@@ -0,0 +1,87 @@
+const { parseExpression, strictestDecision, createLicensePolicy } = require('../lib/license-policy');
+
+describe('parseExpression', () => {
+  test('parses a single license', () => {
+    expect(parseExpression('MIT')).toEqual({ type: 'license', id: 'MIT' });
+  });
+
+  test('binds WITH tighter than AND, and AND tighter than OR', () => {
+    expect(parseExpression('MIT OR Apache-2.0 AND GPL-2.0-only WITH Classpath-exception-2.0')).toEqual({
+      type: 'or',
+      terms: [
+        { type: 'license', id: 'MIT' },
+        {
+          type: 'and',
+          terms: [
+            { type: 'license', id: 'Apache-2.0' },
+            { type: 'license', id: 'GPL-2.0-only', exception: 'Classpath-exception-2.0' }
+          ]
+        }
+      ]
+    });
+  });
+
+  test('honours parentheses and lowercase operators', () => {
+    expect(parseExpression('(MIT or BSD-3-Clause) and LicenseRef-custom')).toEqual({
+      type: 'and',
+      terms: [
+        { type: 'or', terms: [{ type: 'license', id: 'MIT' }, { type: 'license', id: 'BSD-3-Clause' }] },
+        { type: 'license', id: 'LicenseRef-custom' }
+      ]
+    });
+  });
+
+  test.each([
+    ['', 'Empty license expression'],
+    ['MIT AND', 'Expected a license'],
+    ['(MIT OR Apache-2.0', 'Missing closing parenthesis'],
+    ['MIT Apache-2.0', 'Unexpected "Apache-2.0"'],
+    ['GPL-2.0-only WITH', 'Expected a license exception'],
+    ['MIT/Apache', 'Unexpected character']
+  ])('rejects %p', (expression, message) => {
+    expect(() => parseExpression(expression)).toThrow(message);
+  });
+});
+
+describe('createLicensePolicy', () => {
+  test('deny wins over review, and review over allow', () => {
+    const policy = createLicensePolicy({ allow: 'GPL-*', review: 'GPL-*', deny: 'GPL-3.0-*' });
+
+    expect(policy.evaluate('GPL-3.0-only')).toBe('deny');
+    expect(policy.evaluate('GPL-2.0-only')).toBe('review');
+  });
+
+  test('allows unlisted licenses unless an allow list is configured', () => {
+    expect(createLicensePolicy({ deny: 'AGPL-*' }).evaluate('MIT')).toBe('allow');
+    expect(createLicensePolicy({ allow: 'MIT, Apache-2.0' }).evaluate('BSD-3-Clause')).toBe('deny');
+  });
+
+  test('OR picks the most permissive alternative and AND the strictest', () => {
+    const policy = createLicensePolicy({ deny: 'GPL-*', review: 'LGPL-*' });
+
+    expect(policy.evaluate('MIT OR GPL-3.0-only')).toBe('allow');
+    expect(policy.evaluate('MIT AND LGPL-2.1-only')).toBe('review');
+    expect(policy.evaluate('(MIT OR GPL-3.0-only) AND GPL-2.0-only')).toBe('deny');
+  });
+
+  test('an exception can be listed on its own, otherwise the base license decides', () => {
+    const policy = createLicensePolicy({ deny: 'GPL-*', allow: 'GPL-2.0-only WITH Classpath-exception-2.0, MIT' });
+
+    expect(policy.evaluate('GPL-2.0-only WITH Classpath-exception-2.0')).toBe('allow');
+    expect(policy.evaluate('GPL-2.0-only WITH GCC-exception-2.0')).toBe('deny');
+  });
+
+  test('matches patterns case-insensitively and evaluates free-text names as they are', () => {
+    const policy = createLicensePolicy({ deny: 'gpl-*', review: 'Commercial *' });
+
+    expect(policy.evaluateLicense('GPL-3.0-or-later')).toBe('deny');
+    expect(policy.evaluateLicense('Commercial License (see LICENSE)')).toBe('review');
+  });
+});
+
+describe('strictestDecision', () => {
+  test('returns the more restrictive decision', () => {
+    expect(strictestDecision('allow', 'review')).toBe('review');
+    expect(strictestDecision('deny', 'review')).toBe('deny');
+  });
+});
@@ -0,0 +1,50 @@
+const licenseScanner = require('../scanners/license');
+const policyEvaluator = require('../lib/policy');
+
+const COMPONENTS = [
+  { name: 'left-pad', version: '1.3.0', licenses: [{ license: { id: 'MIT' } }] },
+  { name: 'readline-gpl', version: '2.0.0', licenses: [{ license: { id: 'GPL-3.0-only' } }] },
+  { name: 'weak-copyleft', version: '1.0.0', licenses: [{ expression: 'LGPL-2.1-only' }] },
+  { name: 'no-license', version: '0.1.0' }
+];
+
+describe('LicenseScanner', () => {
+  beforeEach(() => {
+    jest.spyOn(licenseScanner, 'readSbomFileComponents').mockReturnValue(COMPONENTS);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const scan = options => licenseScanner.scan({
+    sbomFiles: ['bom.json'],
+    severity: 'HIGH,CRITICAL',
+    licensePolicy: { deny: 'GPL-*', review: 'LGPL-*' },
+    ...options
+  });
+
+  test('counts denied licenses and reports licenses to review separately', async () => {
+    const result = await scan();
+
+    expect(result.total).toBe(1);
+    expect(result.vulnerabilities.map(finding => finding.package)).toEqual(['readline-gpl']);
+    expect(result.needsReview.map(finding => [finding.package, finding.license]))
+      .toEqual([['weak-copyleft', 'LGPL-2.1-only'], ['no-license', 'UNKNOWN']]);
+  });
+
+  test('unknown licenses do not trip the default failure policy', async () => {
+    const result = await scan({ licensePolicy: {} });
+
+    expect(result.needsReview).toHaveLength(1);
+    expect(policyEvaluator.evaluate('total>0', { ...result, scanners: { licenses: result } }).failed).toBe(false);
+  });
+
+  test('applies the severity filter', async () => {
+    const result = await scan({ severity: 'CRITICAL' });
+
+    expect(result.total).toBe(0);
+    expect(result.vulnerabilities).toEqual([]);
+  });
+});
@@ -0,0 +1,33 @@
+const { NTUSecurityOrchestrator } = require('../index');
+
+const MARKER = '<!-- ntu-security-scanner-report -->';
+
+function fakeClient(notes) {
+  return {
+    get: jest.fn(async () => ({ data: { id: 7 } })),
+    getAllPages: jest.fn(async () => notes)
+  };
+}
+
+describe('findPreviousNote', () => {
+  const orchestrator = new NTUSecurityOrchestrator();
+
+  test('only reuses a report written by the token user', async () => {
+    const client = fakeClient([
+      { id: 1, author: { id: 3 }, body: `Quoting the bot: ${MARKER}` },
+      { id: 2, author: { id: 7 }, system: true, body: `changed the description ${MARKER}` },
+      { id: 3, author: { id: 7 }, body: `${MARKER}\n## Report` }
+    ]);
+
+    const note = await orchestrator.findPreviousNote(client, '/projects/1/merge_requests/2/notes');
+
+    expect(client.get).toHaveBeenCalledWith('/user');
+    expect(note.id).toBe(3);
+  });
+
+  test('finds nothing when only other users posted the marker', async () => {
+    const client = fakeClient([{ id: 1, author: { id: 3 }, body: MARKER }]);
+
+    expect(await orchestrator.findPreviousNote(client, '/notes')).toBeNull();
+  });
+});
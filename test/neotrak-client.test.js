@@ -0,0 +1,136 @@
+const http = require('http');
+const NeoTrakClient = require('../lib/neotrak-client');
+
+describe('NeoTrakClient', () => {
+  let server;
+  let baseUrl;
+  let requests;
+  let responses;
+
+  // Each request takes the next queued response; `null` leaves the request hanging and
+  // `raw` is sent as the body as is
+  beforeEach(async () => {
+    requests = [];
+    responses = [];
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => body += chunk);
+      req.on('end', () => {
+        requests.push({ method: req.method, url: req.url, headers: req.headers, body, time: Date.now() });
+        const response = responses.length > 0 ? responses.shift() : { status: 200, body: { ok: true } };
+        if (response === null) {
+          return;
+        }
+        res.writeHead(response.status, { 'Content-Type': 'application/json', ...(response.headers || {}) });
+        res.end(response.raw !== undefined ? response.raw : JSON.stringify(response.body || {}));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const createClient = options => new NeoTrakClient({
+    baseUrl,
+    apiKey: 'api-key',
+    secretKey: 'secret-key',
+    tenantKey: 'tenant-key',
+    retryDelayMs: 10,
+    ...options
+  });
+
+  test('sends the credentials and a JSON body to the project endpoint', async () => {
+    const response = await createClient().uploadSecrets('project 1', [{ RuleID: 'jwt' }]);
+
+    expect(response).toEqual({ statusCode: 200, data: { ok: true } });
+    expect(requests).toHaveLength(1);
+    const [request] = requests;
+    expect(request.method).toBe('POST');
+    expect(request.url).toBe('/open-pulse/project/update-secrets/project%201');
+    expect(request.headers).toMatchObject({
+      'x-api-key': 'api-key',
+      'x-secret-key': 'secret-key',
+      'x-tenant-key': 'tenant-key',
+      'content-type': 'application/json'
+    });
+    expect(JSON.parse(request.body)).toEqual([{ RuleID: 'jwt' }]);
+  });
+
+  test('retries 5xx and 429 responses with exponential backoff', async () => {
+    responses.push({ status: 503 }, { status: 429 }, { status: 500 });
+
+    const response = await createClient({ retries: 3, retryDelayMs: 50 }).uploadSbom('p', { bomFormat: 'CycloneDX' });
+
+    expect(response.statusCode).toBe(200);
+    expect(requests).toHaveLength(4);
+    const gaps = requests.slice(1).map((request, index) => request.time - requests[index].time);
+    expect(gaps[0]).toBeGreaterThanOrEqual(45);
+    expect(gaps[1]).toBeGreaterThanOrEqual(95);
+    expect(gaps[2]).toBeGreaterThanOrEqual(195);
+  });
+
+  test('gives up after the configured number of retries', async () => {
+    responses.push({ status: 502 }, { status: 502 }, { status: 502 });
+
+    await expect(createClient({ retries: 2 }).uploadVulnerabilities('p', []))
+      .rejects.toMatchObject({ statusCode: 502 });
+    expect(requests).toHaveLength(3);
+  });
+
+  test('does not retry client errors', async () => {
+    responses.push({ status: 401, body: { error: 'unauthorized' } });
+
+    await expect(createClient().uploadSecrets('p', [])).rejects.toThrow('NeoTrak API returned 401');
+    expect(requests).toHaveLength(1);
+  });
+
+  test('waits for Retry-After instead of the backoff delay', async () => {
+    responses.push({ status: 429, headers: { 'Retry-After': '1' } });
+
+    await createClient({ retryDelayMs: 10 }).uploadSecrets('p', []);
+
+    expect(requests).toHaveLength(2);
+    expect(requests[1].time - requests[0].time).toBeGreaterThanOrEqual(950);
+  });
+
+  test('caps the Retry-After wait at maxRetryDelayMs', async () => {
+    responses.push({ status: 503, headers: { 'Retry-After': '86400' } });
+
+    const started = Date.now();
+    await createClient({ maxRetryDelayMs: 100 }).uploadSecrets('p', []);
+
+    expect(requests).toHaveLength(2);
+    expect(requests[1].time - requests[0].time).toBeGreaterThanOrEqual(95);
+    expect(Date.now() - started).toBeLessThan(2000);
+  });
+
+  test('does not resend an accepted upload whose response is not valid JSON', async () => {
+    responses.push({ status: 200, raw: '<html>OK</html>' });
+
+    const response = await createClient().uploadSbom('p', { bomFormat: 'CycloneDX' });
+
+    expect(requests).toHaveLength(1);
+    expect(response).toMatchObject({ statusCode: 200, data: '<html>OK</html>' });
+    expect(response.parseError).toMatch('Invalid JSON from NeoTrak API');
+  });
+
+  test('times out requests that get no response', async () => {
+    responses.push(null);
+
+    await expect(createClient({ timeoutMs: 100, retries: 0 }).uploadSecrets('p', []))
+      .rejects.toThrow('NeoTrak API request timed out after 100ms');
+  });
+
+  test('retries a request that timed out', async () => {
+    responses.push(null);
+
+    const response = await createClient({ timeoutMs: 100, retries: 1 }).uploadSecrets('p', []);
+
+    expect(response.statusCode).toBe(200);
+    expect(requests).toHaveLength(2);
+  });
+});
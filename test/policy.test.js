@@ -0,0 +1,82 @@
+const policyEvaluator = require('../lib/policy');
+const { NTUSecurityOrchestrator } = require('../index');
+
+describe('PolicyEvaluator', () => {
+  const context = {
+    total: 3,
+    critical: 1,
+    high: 2,
+    medium: 0,
+    low: 0,
+    scanners: {
+      trivy: { total: 3, critical: 1, high: 2, medium: 0, low: 0 },
+      secrets: { total: 0, critical: 0, high: 0, medium: 0, low: 0 }
+    }
+  };
+
+  test('evaluates per-scanner counts', () => {
+    expect(policyEvaluator.evaluate('secrets.total>0 || trivy.critical>0', context)).toEqual({
+      failed: true,
+      reasons: ['trivy.critical>0 (actual: 1)']
+    });
+  });
+
+  test('rejects an unknown metric', () => {
+    expect(() => policyEvaluator.evaluate('trivy.severe>0', context)).toThrow('Unknown metric "severe"');
+  });
+
+  test('rejects a scanner that is not selected', () => {
+    expect(() => policyEvaluator.evaluate('secret.total>0', context))
+      .toThrow('Unknown scanner "secret" in policy "secret.total>0" (expected one of trivy, secrets)');
+  });
+
+  test('rejects an unknown scanner behind a short-circuited term', () => {
+    expect(() => policyEvaluator.evaluate('critical>5 && licenses.total>0', context))
+      .toThrow('Unknown scanner "licenses"');
+  });
+});
+
+describe('failure policy of a run', () => {
+  beforeEach(() => {
+    process.env.INPUT_SCANNERS = 'trivy,secrets';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    ['INPUT_SCANNERS', 'INPUT_FAIL_ON', 'INPUT_EXIT_CODE'].forEach(name => delete process.env[name]);
+  });
+
+  function selectScanners() {
+    const orchestrator = new NTUSecurityOrchestrator();
+    orchestrator.registerSelectedScanners();
+    return orchestrator;
+  }
+
+  test('is rejected before any scan when it names an unselected scanner', () => {
+    process.env.INPUT_FAIL_ON = 'critical>0 || licenses.total>0';
+
+    expect(() => selectScanners().loadFailurePolicy())
+      .toThrow('Unknown scanner "licenses" in policy "critical>0 || licenses.total>0" (expected one of trivy, secrets)');
+  });
+
+  test('is not checked when the exit code is disabled', () => {
+    process.env.INPUT_FAIL_ON = 'secret.total>0';
+    process.env.INPUT_EXIT_CODE = '0';
+
+    expect(selectScanners().loadFailurePolicy()).toBeNull();
+  });
+
+  test('is evaluated after the scans from the validated policy', () => {
+    process.env.INPUT_FAIL_ON = 'secrets.total>0';
+    const orchestrator = selectScanners();
+    orchestrator.loadFailurePolicy();
+    orchestrator.results.scannerResults = [
+      { id: 'trivy', status: 'succeeded', total: 2, critical: 0, high: 2, medium: 0, low: 0 },
+      { id: 'secrets', status: 'succeeded', total: 1, critical: 0, high: 0, medium: 0, low: 0 }
+    ];
+
+    expect(orchestrator.shouldFail()).toBe(true);
+    expect(orchestrator.failureReasons).toEqual(['secrets.total>0 (actual: 1)']);
+  });
+});
@@ -0,0 +1,85 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const cdxgenScanner = require('../scanners/sbom');
+const trivyScanner = require('../scanners/trivy');
+const { getDefaultInstallConfig, sha256File } = require('../lib/installer');
+
+describe('cdxgen installation', () => {
+  let cacheDir;
+  let installConfig;
+
+  beforeEach(() => {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cdxgen-cache-'));
+    installConfig = { ...getDefaultInstallConfig(), cacheDir, offline: true };
+    jest.spyOn(trivyScanner, 'install').mockResolvedValue('/usr/bin/trivy');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  // Lay out a cached install the way installPackage leaves it
+  function cacheInstall(metadata) {
+    const installDir = path.join(cacheDir, 'cdxgen-11.9.0');
+    const script = path.join(installDir, 'node_modules', '@cyclonedx', 'cdxgen', 'bin', 'cdxgen.js');
+    fs.mkdirSync(path.dirname(script), { recursive: true });
+    fs.writeFileSync(script, '#!/usr/bin/env node\n');
+    fs.writeFileSync(path.join(installDir, 'package-lock.json'), '{}');
+    fs.mkdirSync(path.join(installDir, 'node_modules', '.bin'));
+    const binaryPath = path.join(installDir, 'node_modules', '.bin', 'cdxgen');
+    fs.symlinkSync(script, binaryPath);
+    fs.writeFileSync(path.join(installDir, 'cdxgen.json'), JSON.stringify({
+      sha256: null,
+      installSha256: cdxgenScanner.hashInstallation(installDir, binaryPath),
+      verified: true,
+      ...metadata
+    }));
+    return { installDir, binaryPath, script };
+  }
+
+  test('verifies a local binary against the pinned checksum', async () => {
+    const localBinary = path.join(cacheDir, 'cdxgen');
+    fs.writeFileSync(localBinary, 'binary');
+    installConfig.binaries = { cdxgen: localBinary };
+    installConfig.checksums = { cdxgen: sha256File(localBinary) };
+
+    await cdxgenScanner.installPackage(installConfig);
+    expect(cdxgenScanner.installation).toMatchObject({ source: 'local-binary', verified: true });
+
+    installConfig.checksums = { cdxgen: '0'.repeat(64) };
+    await expect(cdxgenScanner.installPackage(installConfig)).rejects.toThrow('Checksum mismatch');
+  });
+
+  test('checks a registry package against the pinned checksum before installing it', async () => {
+    const tarball = path.join(cacheDir, 'cyclonedx-cdxgen-11.9.0.tgz');
+    fs.writeFileSync(tarball, 'tampered');
+    jest.spyOn(cdxgenScanner, 'fetchPackage').mockReturnValue(tarball);
+    installConfig = { ...installConfig, offline: false, checksums: { cdxgen: '0'.repeat(64) } };
+
+    await expect(cdxgenScanner.installPackage(installConfig)).rejects.toThrow('Checksum mismatch');
+    expect(cdxgenScanner.fetchPackage).toHaveBeenCalledWith('@cyclonedx/cdxgen@11.9.0', installConfig);
+  });
+
+  test('reuses an intact cached install', async () => {
+    const { binaryPath } = cacheInstall();
+
+    await expect(cdxgenScanner.installPackage(installConfig)).resolves.toBe(binaryPath);
+    expect(cdxgenScanner.installation).toMatchObject({ source: 'cache', verified: true });
+  });
+
+  test('does not reuse a cached install modified after installation', async () => {
+    const { script } = cacheInstall();
+    fs.appendFileSync(script, 'require("child_process").exec("curl evil");\n');
+
+    await expect(cdxgenScanner.installPackage(installConfig)).rejects.toThrow('is not cached');
+  });
+
+  test('does not reuse a cached install that was never verified', async () => {
+    cacheInstall({ verified: false });
+
+    await expect(cdxgenScanner.installPackage(installConfig)).rejects.toThrow('is not cached');
+  });
+});
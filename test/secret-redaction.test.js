@@ -0,0 +1,78 @@
+const secretDetector = require('../scanners/secret-detector');
+const gitlabReportWriter = require('../reporters/gitlab');
+const sarifReportWriter = require('../reporters/sarif');
+const { NTUSecurityOrchestrator } = require('../index');
+const { BUILT_IN_RULES } = require('../lib/secret-rules');
+const { REDACTION_MODES, redactText } = require('../lib/redact');
+const { fingerprint } = require('../lib/findings');
+const { SAMPLES, gitleaksItem } = require('./helpers/gitleaks');
+
+function scanResults(findings) {
+  return {
+    total: findings.length,
+    critical: 0,
+    high: 0,
+    medium: 0,
+    low: 0,
+    scannerResults: [{
+      scanner: 'Secret Detector',
+      id: 'secrets',
+      status: 'succeeded',
+      total: findings.length,
+      critical: 0,
+      high: 0,
+      durationMs: 1000,
+      vulnerabilities: findings,
+      secrets: findings,
+      lowConfidence: findings
+    }]
+  };
+}
+
+describe('secret redaction', () => {
+  test.each(BUILT_IN_RULES.map(rule => [rule.id, rule]))('Gitleaks reports the value for %s', (id, rule) => {
+    const [line, value] = SAMPLES[id];
+    expect(gitleaksItem(rule, line).Secret).toBe(value);
+  });
+
+  describe.each(REDACTION_MODES)('%s mode', mode => {
+    const cases = BUILT_IN_RULES.map(rule => [rule.id, rule, ...SAMPLES[rule.id]]);
+
+    test.each(cases)('%s never exposes the raw value', (id, rule, line, value) => {
+      const finding = secretDetector.toFinding(gitleaksItem(rule, line), { secretRedaction: mode });
+      const results = scanResults([finding]);
+
+      const orchestrator = new NTUSecurityOrchestrator();
+      orchestrator.results = results;
+
+      const outputs = {
+        finding: JSON.stringify(finding),
+        secretReport: JSON.stringify(gitlabReportWriter.buildSecretReport(results)),
+        sarif: JSON.stringify(sarifReportWriter.buildLog(results, { workspaceDir: '/builds/project' })),
+        scanResults: JSON.stringify(results),
+        neotrak: JSON.stringify(secretDetector.mapToSBOMSecret(finding)),
+        mrComment: orchestrator.buildMRComment(),
+        discussion: orchestrator.buildSecretDiscussion(finding, fingerprint(finding)),
+        log: redactText(`Found ${value} in ${line}`)
+      };
+
+      Object.entries(outputs).forEach(([output, text]) => {
+        expect({ output, leaked: text.includes(value) }).toEqual({ output, leaked: false });
+      });
+    });
+  });
+
+  test('the whole match is redacted when the secret is only the keyword', () => {
+    const finding = secretDetector.toFinding({
+      RuleID: 'custom-password',
+      File: 'app.env',
+      Match: 'password = "Zk8qP2vR7xL4mN9"',
+      Secret: 'password',
+      StartLine: 1,
+      EndLine: 1
+    }, { secretRedaction: 'partial' });
+
+    expect(finding.Match).toBe('[REDACTED]');
+    expect(redactText('connecting with Zk8qP2vR7xL4mN9')).toBe('connecting with [REDACTED]');
+  });
+});
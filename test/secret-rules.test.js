@@ -0,0 +1,35 @@
+const { BUILT_IN_RULES, createAllowlist } = require('../lib/secret-rules');
+const { SAMPLES, gitleaksItem } = require('./helpers/gitleaks');
+
+describe('default secret allowlist', () => {
+  const isAllowlisted = createAllowlist();
+
+  test.each(BUILT_IN_RULES.map(rule => [rule.id, rule]))('keeps the %s sample', (id, rule) => {
+    expect(isAllowlisted(gitleaksItem(rule, SAMPLES[id][0]))).toBe(false);
+  });
+
+  test.each([
+    ['password = "${DB_PASSWORD}"', '${DB_PASSWORD}'],
+    ['token: "$API_TOKEN_VALUE"', '"$API_TOKEN_VALUE"']
+  ])('drops the placeholder in %s', (match, secret) => {
+    expect(isAllowlisted({ RuleID: 'strict-secret-detection', File: 'app.yml', Match: match, Secret: secret })).toBe(true);
+  });
+
+  test('keeps a secret that only contains a placeholder-like part', () => {
+    const item = { RuleID: 'strict-secret-detection', File: 'app.env', Match: 'password = "Ab$X9kk2zzQQ"', Secret: 'Ab$X9kk2zzQQ' };
+
+    expect(isAllowlisted(item)).toBe(false);
+  });
+
+  test('drops files under node_modules', () => {
+    const item = gitleaksItem(BUILT_IN_RULES.find(rule => rule.id === 'aws-key'), SAMPLES['aws-key'][0]);
+
+    expect(isAllowlisted({ ...item, File: 'node_modules/aws-sdk/README.md' })).toBe(true);
+  });
+
+  test('can be turned off', () => {
+    const item = { RuleID: 'strict-secret-detection', File: 'app.yml', Match: 'password = "${DB_PASSWORD}"', Secret: '${DB_PASSWORD}' };
+
+    expect(createAllowlist({ useDefault: false })(item)).toBe(false);
+  });
+});